@@ -16,7 +16,10 @@ export default [
         document: 'readonly',
         navigator: 'readonly',
         localStorage: 'readonly',
+        indexedDB: 'readonly',
+        BroadcastChannel: 'readonly',
         setTimeout: 'readonly',
+        clearTimeout: 'readonly',
         crypto: 'readonly',
       },
     },
@@ -0,0 +1,319 @@
+// mock/server.js
+// Stand-in notes backend for development and automated tests
+// -------------------------------------------------
+// Implements the routes the frontend uses (see src/api.js):
+//   GET    /api/notes              → all notes (plain array)
+//   GET    /api/notes?since=<cur>  → { notes, deleted, cursor } (delta sync, see src/sync.js)
+//   GET    /api/notes/{id}         → one note (with ETag)
+//   POST   /api/notes              → 201 + created note + Location
+//   PUT    /api/notes/{id}         → updated note; honours If-Match / If-Unmodified-Since (412)
+//   DELETE /api/notes/{id}         → 204
+//
+// Failure modes make the server misbehave like the backends api.js has fallbacks
+// for. Enable them at start (--mode a,b or MOCK_MODES=a,b) or at runtime:
+//   curl -X PUT localhost:5257/__mock/modes -d '{"modes":["empty-bodies","slow"]}'
+// See MODES below for the list.
+//
+// Usage:
+//   npm run mock                                   # in-memory, port 5257
+//   node mock/server.js --data mock/notes.json     # persist to a JSON file
+//   node mock/server.js --port 5300 --mode seconds,no-delta --delay 3000
+//
+// Design notes:
+// - Node built-ins only, so it runs without installing anything.
+// - Ids are numbers and timestamps ISO strings (like the ASP.NET backend);
+//   the frontend normalizes both (normalizeNote()).
+// - Every change bumps a global revision; it doubles as sync cursor and ETag.
+
+import http from 'node:http';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+
+/** Switchable failure modes (name → what the server does differently). */
+const MODES = {
+  '405-post': 'POST /api/notes answers 405 Method Not Allowed',
+  '405-put': 'PUT /api/notes/{id} answers 405',
+  '405-delete': 'DELETE /api/notes/{id} answers 405',
+  '405-get-item': 'GET /api/notes/{id} answers 405 (no single-item route)',
+  '404-get-item': 'GET /api/notes/{id} answers 404 even for existing notes',
+  'empty-bodies': 'writes answer without a body (POST: 201 + Location, PUT: 204)',
+  'no-location': 'bodiless POST responses also omit the Location header',
+  'non-json': 'writes answer 200 with a text/plain body',
+  slow: 'every response is delayed (--delay, default 1500 ms)',
+  seconds: 'timestamps are sent as Unix seconds instead of ISO strings',
+  'no-delta': '?since= is ignored; GET always returns the full array',
+  down: 'every request is dropped without a response (network error)',
+};
+
+// ---- CLI / env ----
+
+/** Read `--name value` from argv (or the fallback). */
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 && i + 1 < process.argv.length ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(arg('port', process.env.PORT ?? 5257));
+const DATA_FILE = arg('data', process.env.MOCK_DATA ?? null);
+const DELAY_MS = Number(arg('delay', process.env.MOCK_DELAY ?? 1500));
+
+/** @type {Set<string>} */
+let modes = parseModes(arg('mode', process.env.MOCK_MODES ?? ''));
+
+/** Split a comma list into known mode names; unknown ones are reported and ignored. */
+function parseModes(list) {
+  const names = (Array.isArray(list) ? list : String(list).split(','))
+    .map((m) => String(m).trim())
+    .filter(Boolean);
+  for (const m of names) if (!(m in MODES)) console.warn(`[mock] Unknown mode "${m}" ignored.`);
+  return new Set(names.filter((m) => m in MODES));
+}
+
+// ---- Storage ----
+
+/**
+ * @typedef {Object} StoredNote
+ * @property {number}  id
+ * @property {string}  title
+ * @property {string}  content
+ * @property {boolean} pinned
+ * @property {number}  createdAt  - Unix ms
+ * @property {number}  updatedAt  - Unix ms
+ * @property {number}  rev        - revision of the last change
+ */
+
+const db = loadData();
+
+/** @returns {{ notes: StoredNote[], tombstones: Array<{ id: number, rev: number, deletedAt: number }>, rev: number, nextId: number }} */
+function loadData() {
+  if (DATA_FILE && existsSync(DATA_FILE)) {
+    const data = JSON.parse(readFileSync(DATA_FILE, 'utf8'));
+    // Also accepts a plain array of notes or a frontend export file (Export .json).
+    if (Array.isArray(data)) return fromNotes(data);
+    if (Array.isArray(data.notes) && typeof data.rev !== 'number') return fromNotes(data.notes);
+    return data;
+  }
+  return { notes: [], tombstones: [], rev: 0, nextId: 1 };
+}
+
+/** Build a fresh database from note-like objects. */
+function fromNotes(list) {
+  const ts = Date.now();
+  const notes = list.map((n, i) => ({
+    id: Number.isInteger(Number(n.id)) ? Number(n.id) : i + 1,
+    title: String(n.title ?? ''),
+    content: String(n.content ?? ''),
+    pinned: Boolean(n.pinned),
+    createdAt: Number(n.createdAt) || ts,
+    updatedAt: Number(n.updatedAt) || ts,
+    rev: i + 1,
+  }));
+  const nextId = Math.max(0, ...notes.map((n) => n.id)) + 1;
+  return { notes, tombstones: [], rev: notes.length, nextId };
+}
+
+/** Write the database to --data (no-op for in-memory runs). */
+function persist() {
+  if (DATA_FILE) writeFileSync(DATA_FILE, JSON.stringify(db, null, 2));
+}
+
+const findNote = (id) => db.notes.find((n) => String(n.id) === String(id));
+
+// ---- Serialization ----
+
+const stamp = (ms) => (modes.has('seconds') ? Math.floor(ms / 1000) : new Date(ms).toISOString());
+const etagOf = (note) => `W/"${note.rev}"`;
+
+/** Public shape of a note (no internal revision). */
+function toJson(note) {
+  return {
+    id: note.id,
+    title: note.title,
+    content: note.content,
+    pinned: note.pinned,
+    createdAt: stamp(note.createdAt),
+    updatedAt: stamp(note.updatedAt),
+  };
+}
+
+// ---- HTTP helpers ----
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept, If-Match, If-Unmodified-Since',
+  'Access-Control-Expose-Headers': 'ETag, Location, X-Sync-Cursor',
+};
+
+function send(res, status, body, headers = {}) {
+  const type =
+    body === undefined
+      ? {}
+      : { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json' };
+  res.writeHead(status, { ...CORS, ...type, ...headers });
+  res.end(typeof body === 'object' ? JSON.stringify(body) : body);
+}
+
+/**
+ * The request's JSON body; an empty body reads as {}. Anything but a JSON object
+ * (null, arrays, numbers, …) throws a SyntaxError, answered with 400 like bad JSON.
+ * @returns {Promise<Object>}
+ */
+async function readBody(req) {
+  let text = '';
+  for await (const chunk of req) text += chunk;
+  if (!text.trim()) return {};
+  const body = JSON.parse(text);
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new SyntaxError('JSON body is not an object');
+  }
+  return body;
+}
+
+/**
+ * Answer a write (POST/PUT) according to the active modes.
+ * @param {number} status    - status for a regular JSON answer
+ * @param {StoredNote} note
+ * @param {Object} [headers]
+ */
+function sendWrite(res, status, note, headers = {}) {
+  const all = { ETag: etagOf(note), ...headers };
+  if (modes.has('non-json')) return send(res, 200, 'OK', all);
+  if (modes.has('empty-bodies')) {
+    if (status === 201 && modes.has('no-location')) delete all.Location;
+    return send(res, status === 201 ? 201 : 204, undefined, all);
+  }
+  return send(res, status, toJson(note), all);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ---- Routes ----
+
+/** GET /api/notes[?since=] */
+function listNotes(res, since) {
+  const headers = { 'X-Sync-Cursor': String(db.rev) };
+  if (since === null || modes.has('no-delta')) {
+    return send(res, 200, db.notes.map(toJson), headers);
+  }
+  const rev = Number(since) || 0;
+  send(
+    res,
+    200,
+    {
+      notes: db.notes.filter((n) => n.rev > rev).map(toJson),
+      deleted: db.tombstones.filter((t) => t.rev > rev).map((t) => t.id),
+      cursor: String(db.rev),
+    },
+    headers
+  );
+}
+
+/** GET /api/notes/{id} */
+function getNote(res, id) {
+  if (modes.has('405-get-item')) return send(res, 405, 'Method Not Allowed');
+  const note = findNote(id);
+  if (!note || modes.has('404-get-item')) return send(res, 404, 'Not Found');
+  send(res, 200, toJson(note), { ETag: etagOf(note) });
+}
+
+/** POST /api/notes */
+function createNote(res, body) {
+  if (modes.has('405-post')) return send(res, 405, 'Method Not Allowed');
+  const ts = Date.now();
+  const note = {
+    id: db.nextId++,
+    title: String(body.title ?? ''),
+    content: String(body.content ?? ''),
+    pinned: Boolean(body.pinned),
+    createdAt: ts,
+    updatedAt: ts,
+    rev: ++db.rev,
+  };
+  db.notes.push(note);
+  persist();
+  sendWrite(res, 201, note, { Location: `/api/notes/${note.id}` });
+}
+
+/** PUT /api/notes/{id} */
+function updateNote(req, res, id, body) {
+  if (modes.has('405-put')) return send(res, 405, 'Method Not Allowed');
+  const note = findNote(id);
+  if (!note) return send(res, 404, 'Not Found');
+
+  // Preconditions (optimistic concurrency, see api.updateNote()).
+  const ifMatch = req.headers['if-match'];
+  const ifUnmodified = Date.parse(req.headers['if-unmodified-since'] ?? '');
+  // HTTP dates have second precision: compare on whole seconds.
+  const tooNew =
+    Number.isFinite(ifUnmodified) && Math.floor(note.updatedAt / 1000) * 1000 > ifUnmodified;
+  if ((ifMatch && ifMatch !== etagOf(note)) || tooNew) {
+    return send(res, 412, 'Precondition Failed', { ETag: etagOf(note) });
+  }
+
+  if (typeof body.title === 'string') note.title = body.title;
+  if (typeof body.content === 'string') note.content = body.content;
+  if (typeof body.pinned === 'boolean') note.pinned = body.pinned;
+  note.updatedAt = Date.now();
+  note.rev = ++db.rev;
+  persist();
+  sendWrite(res, 200, note);
+}
+
+/** DELETE /api/notes/{id} */
+function deleteNote(res, id) {
+  if (modes.has('405-delete')) return send(res, 405, 'Method Not Allowed');
+  const note = findNote(id);
+  if (!note) return send(res, 404, 'Not Found');
+
+  db.notes = db.notes.filter((n) => n !== note);
+  db.tombstones.push({ id: note.id, rev: ++db.rev, deletedAt: Date.now() });
+  persist();
+  send(res, 204);
+}
+
+/** GET/PUT /__mock/modes: inspect or replace the active failure modes. */
+async function mockModes(req, res) {
+  if (req.method === 'PUT') modes = parseModes((await readBody(req)).modes ?? []);
+  send(res, 200, { modes: [...modes], available: MODES });
+}
+
+// ---- Server ----
+
+const server = http.createServer(async (req, res) => {
+  try {
+    await handle(req, res);
+  } catch (err) {
+    if (err instanceof SyntaxError) return send(res, 400, 'Invalid JSON body');
+    console.error('[mock]', err);
+    send(res, 500, 'Internal Server Error');
+  }
+});
+
+/** Route a request (errors are answered by the server callback above). */
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host ?? 'localhost'}`);
+  const match = url.pathname.match(/^\/api\/notes(?:\/([^/]+))?\/?$/);
+
+  // The control route works in every mode, so tests can always switch back.
+  if (url.pathname === '/__mock/modes') return mockModes(req, res);
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (modes.has('down')) return req.socket.destroy();
+  if (modes.has('slow')) await sleep(DELAY_MS);
+  if (!match) return send(res, 404, 'Not Found');
+
+  const id = match[1] === undefined ? null : decodeURIComponent(match[1]);
+  if (req.method === 'GET') {
+    return id === null ? listNotes(res, url.searchParams.get('since')) : getNote(res, id);
+  }
+  if (req.method === 'POST' && id === null) return createNote(res, await readBody(req));
+  if (req.method === 'PUT' && id !== null) return updateNote(req, res, id, await readBody(req));
+  if (req.method === 'DELETE' && id !== null) return deleteNote(res, id);
+  send(res, 405, 'Method Not Allowed');
+}
+
+server.listen(PORT, () => {
+  const active = modes.size > 0 ? [...modes].join(', ') : 'none';
+  console.log(`[mock] Notes backend on http://localhost:${PORT}/api/notes`);
+  console.log(`[mock] Storage: ${DATA_FILE ?? 'in-memory'} · failure modes: ${active}`);
+});
@@ -0,0 +1,55 @@
+// scripts/sw-version.js
+// Keep the service worker's VERSION in step with the app shell
+// -------------------------------------------------
+// sw.js serves the shell cache-first, and browsers only install a new worker
+// when sw.js itself changes. VERSION is therefore a hash of every file in SHELL:
+// changing any cached file changes sw.js, which installs the new shell into a
+// fresh cache instead of mixing it into the old one.
+//
+// Usage:
+//   npm run sw-version                     # rewrite VERSION in sw.js
+//   node scripts/sw-version.js --check     # exit 1 if it is stale (part of npm run lint)
+//
+// Design notes:
+// - Node built-ins only, like mock/server.js.
+// - SHELL is read from sw.js itself, so the list is kept in one place.
+
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+
+const ROOT = new URL('../', import.meta.url);
+const SW_FILE = new URL('sw.js', ROOT);
+const VERSION_LINE = /^const VERSION = '([^']*)';$/m;
+
+const sw = readFileSync(SW_FILE, 'utf8');
+const shellList = sw.match(/^const SHELL = \[([\s\S]*?)\];$/m);
+if (!shellList || !VERSION_LINE.test(sw)) {
+  console.error('[sw-version] sw.js has no SHELL list or VERSION line.');
+  process.exit(1);
+}
+
+// './' is index.html; every other entry is a file relative to the repo root.
+const files = [...shellList[1].matchAll(/'([^']+)'/g)]
+  .map((m) => m[1])
+  .filter((file) => file !== './');
+
+const hash = createHash('sha256');
+for (const file of files) {
+  hash.update(`${file}\0`);
+  hash.update(readFileSync(new URL(file, ROOT)));
+  hash.update('\0');
+}
+const version = hash.digest('hex').slice(0, 12);
+const current = sw.match(VERSION_LINE)[1];
+
+if (process.argv.includes('--check')) {
+  if (current !== version) {
+    console.error(
+      `[sw-version] sw.js VERSION is ${current}, the shell is ${version}: run "npm run sw-version".`
+    );
+    process.exit(1);
+  }
+} else if (current !== version) {
+  writeFileSync(SW_FILE, sw.replace(VERSION_LINE, `const VERSION = '${version}';`));
+  console.log(`[sw-version] VERSION ${current} → ${version}`);
+}
@@ -0,0 +1,446 @@
+// api.js
+// Notes REST client (GET/POST/PUT/DELETE /api/notes)
+// -------------------------------------------------
+// One place that talks to the backend:
+// - createApiClient({ baseUrl, fetch }) returns list/changes/get/create/update/delete/ping calls
+// - normalizeNote(raw) maps any server shape to our frontend Note
+// - Failures are thrown as typed errors (NotFound, MethodNotAllowed, Conflict, Network, Parse)
+//
+// Design notes:
+// - `fetch` is injectable, so every call can run against a local stub.
+// - The client never touches UI or localStorage; callers decide how to react.
+// - Lenient with servers that answer writes with an empty or non-JSON body:
+//   the affected note is then looked up via a follow-up GET.
+// - Offline, the service worker (sw.js) may answer GETs from its cache; such
+//   responses carry `X-SW-Cache: 1` and are reported as `stale`, never as "online".
+
+import { generateId } from './utils.js';
+
+// ===== Errors =====
+
+/** Base class for all API failures; `status` is the HTTP status (0 = no response). */
+export class ApiError extends Error {
+  constructor(message, { status = 0, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/** 404 – the note (or the whole endpoint) does not exist. */
+export class NotFoundError extends ApiError {
+  constructor(message = 'Not found', options) {
+    super(message, { status: 404, ...options });
+    this.name = 'NotFoundError';
+  }
+}
+
+/** 405 – the backend route exists but does not implement this HTTP method. */
+export class MethodNotAllowedError extends ApiError {
+  constructor(message = 'Method not allowed', options) {
+    super(message, { status: 405, ...options });
+    this.name = 'MethodNotAllowedError';
+  }
+}
+
+/**
+ * 409/412 – the server copy changed since we loaded it (optimistic concurrency).
+ * `serverNote` is the current server version (normalized) when it could be determined.
+ */
+export class ConflictError extends ApiError {
+  constructor(message = 'Note was changed on the server', { serverNote = null, ...options } = {}) {
+    super(message, { status: 409, ...options });
+    this.name = 'ConflictError';
+    this.serverNote = serverNote;
+  }
+}
+
+/** No HTTP response at all (server down, DNS, CORS, aborted request). */
+export class NetworkError extends ApiError {
+  constructor(message = 'Network error', options) {
+    super(message, { status: 0, ...options });
+    this.name = 'NetworkError';
+  }
+}
+
+/** The response body could not be parsed into the expected shape. */
+export class ParseError extends ApiError {
+  constructor(message = 'Invalid response body', options) {
+    super(message, options);
+    this.name = 'ParseError';
+  }
+}
+
+// ===== Normalization =====
+
+/**
+ * Convert the many timestamp formats backends use to Unix ms.
+ * - Numbers: treated as ms if reasonably large, else as seconds.
+ * - Strings: anything Date.parse understands (ISO 8601, RFC 2822, …).
+ *
+ * @param {unknown} v
+ * @returns {number|undefined} undefined when missing or unparsable
+ */
+export function toMs(v) {
+  if (!v) return undefined;
+  if (typeof v === 'number') return v > 1e12 ? v : v * 1000; // heuristic for s → ms
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : undefined;
+}
+
+/**
+ * Map a raw API item to our frontend Note shape.
+ * - Tries several common field names for id/title/content/timestamps.
+ * - Missing fields are taken from `fallback` (e.g. what we just sent), then defaults.
+ * - Missing timestamps become "now"; `id` is always a string.
+ *
+ * @param {Object} raw
+ * @param {Partial<import('./app.js').Note>} [fallback]
+ * @returns {import('./app.js').Note}
+ */
+export function normalizeNote(raw, fallback = {}) {
+  const id =
+    raw.id ?? raw.noteId ?? raw.noteID ?? raw.guid ?? raw.uuid ?? raw._id ?? raw.key ?? fallback.id;
+  const ts = Date.now();
+
+  return {
+    // Our UI logic expects string IDs for dataset attributes.
+    id: String(id ?? generateId()),
+    title: raw.title ?? raw.name ?? fallback.title ?? '',
+    content: raw.content ?? raw.body ?? fallback.content ?? '',
+    createdAt:
+      toMs(raw.createdAt ?? raw.created_at ?? raw.createdOn ?? raw.created_on) ??
+      fallback.createdAt ??
+      ts,
+    updatedAt:
+      toMs(raw.updatedAt ?? raw.updated_at ?? raw.modifiedAt ?? raw.modified_at) ??
+      fallback.updatedAt ??
+      ts,
+    // Backend may not know about pinning; default to false.
+    pinned: Boolean(raw.pinned ?? fallback.pinned ?? false),
+  };
+}
+
+// ===== Base URL =====
+
+/**
+ * Pick the API base URL for the current page:
+ * - An explicit <meta name="mini-notes-api-base" content="…"> wins.
+ * - During local dev (served from localhost/127.0.0.1), use the backend port.
+ * - Anywhere else (e.g. behind a reverse proxy), use relative URLs.
+ *
+ * @returns {string}
+ */
+export function resolveApiBase() {
+  const meta = document.querySelector('meta[name="mini-notes-api-base"]');
+  if (meta) return meta.getAttribute('content') ?? '';
+  return ['localhost', '127.0.0.1'].includes(location.hostname)
+    ? 'http://localhost:5257' // dev backend
+    : ''; // prod/same-origin (fetch('/api/notes'))
+}
+
+// ===== Client =====
+
+/**
+ * Create a notes API client.
+ *
+ * @param {Object}  [options]
+ * @param {string}  [options.baseUrl='']  - Prefix for all requests ('' = same origin)
+ * @param {typeof fetch} [options.fetch]  - fetch implementation (defaults to the global one)
+ *
+ * Usage:
+ *   const api = createApiClient({ baseUrl: 'http://localhost:5257' });
+ *   const notes = await api.listNotes();
+ */
+export function createApiClient({ baseUrl = '', fetch: fetchImpl } = {}) {
+  // Call the global lazily and unbound-safe (window.fetch must not be detached from window).
+  const doFetch = fetchImpl ?? ((...args) => globalThis.fetch(...args));
+  const notesUrl = (id) =>
+    `${baseUrl}/api/notes${id === undefined ? '' : `/${encodeURIComponent(id)}`}`;
+
+  // Last ETag seen per note id (from single-note GET/PUT responses), used for If-Match.
+  const etags = new Map();
+  const rememberEtag = (id, res) => {
+    const etag = res.headers?.get('etag');
+    if (etag) etags.set(String(id), etag);
+  };
+
+  /** True if the service worker answered from its offline cache (see sw.js). */
+  const fromOfflineCache = (res) => res.headers?.get('x-sw-cache') === '1';
+
+  /**
+   * Perform a request and turn transport/HTTP failures into typed errors.
+   * @returns {Promise<Response>} only 2xx responses
+   */
+  async function request(url, init) {
+    let res;
+    try {
+      res = await doFetch(url, init);
+    } catch (err) {
+      throw new NetworkError(`Request to ${url} failed`, { cause: err });
+    }
+    if (res.ok) return res;
+
+    const text = await res.text().catch(() => '');
+    const method = init?.method ?? 'GET';
+    if (res.status === 404) throw new NotFoundError(`${method} ${url}: not found`);
+    if (res.status === 409 || res.status === 412) {
+      throw new ConflictError(`${method} ${url}: conflict (${res.status})`, { status: res.status });
+    }
+    if (res.status === 405) {
+      throw new MethodNotAllowedError(
+        `${method} ${url}: method not allowed – is it implemented in the backend?`
+      );
+    }
+    throw new ApiError(`${method} ${url} failed (${res.status}) ${text}`.trim(), {
+      status: res.status,
+    });
+  }
+
+  /**
+   * Read a JSON body.
+   * @returns {Promise<any|null>} null for empty bodies
+   * @throws {ParseError} for non-empty bodies that are not valid JSON
+   */
+  async function readJson(res) {
+    const text = await res.text();
+    if (!text.trim()) return null;
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new ParseError(`Response is not valid JSON: ${text.slice(0, 80)}`, {
+        status: res.status,
+        cause: err,
+      });
+    }
+  }
+
+  /**
+   * Read the body of a write response; empty or unparsable bodies yield null
+   * so callers can fall back to a follow-up GET.
+   */
+  async function readWriteResult(res) {
+    try {
+      const body = await readJson(res);
+      return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+    } catch (err) {
+      if (err instanceof ParseError) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * GET /api/notes → all notes, normalized.
+   * @returns {Promise<import('./app.js').Note[]>}
+   */
+  async function listNotes() {
+    const res = await request(notesUrl(), { headers: { Accept: 'application/json' } });
+    const raw = await readJson(res);
+    if (!Array.isArray(raw)) throw new ParseError('Expected an array of notes', { status: 200 });
+    return raw.map((n) => normalizeNote(n));
+  }
+
+  /**
+   * GET /api/notes?since=<cursor> → what changed since the last sync.
+   *
+   * Accepted response shapes:
+   * - `{ notes: [...], deleted: [ids], cursor }` → delta (or full snapshot without `since`)
+   * - `[...]` → full snapshot (backend without delta support ignores `since`)
+   * Items flagged `deleted: true` or carrying `deletedAt` are tombstones, as are
+   * entries of `deleted` (plain ids or objects with an id).
+   * If the server sends no cursor (body field or X-Sync-Cursor header), the newest
+   * updatedAt seen is used, so the next request still only asks for newer changes.
+   *
+   * A `stale` result came from the service worker's offline cache: possibly older
+   * than local state and not an answer to `since` (see sync.pullChanges()).
+   *
+   * @param {string|null} since - cursor from the previous call; null = everything
+   * @returns {Promise<{ notes: import('./app.js').Note[], deleted: string[], cursor: string|null, full: boolean, stale: boolean }>}
+   */
+  async function listChanges(since) {
+    const url = since ? `${notesUrl()}?since=${encodeURIComponent(since)}` : notesUrl();
+    const res = await request(url, { cache: 'no-store', headers: { Accept: 'application/json' } });
+    const raw = await readJson(res);
+
+    let items;
+    let deleted = [];
+    let cursor = res.headers?.get('x-sync-cursor') ?? null;
+    let full;
+    if (Array.isArray(raw)) {
+      items = raw;
+      full = true;
+    } else if (raw && Array.isArray(raw.notes)) {
+      items = raw.notes;
+      deleted = Array.isArray(raw.deleted) ? raw.deleted : [];
+      cursor = raw.cursor ?? cursor;
+      full = !since || raw.full === true;
+    } else {
+      throw new ParseError('Expected an array of notes or a change set', { status: res.status });
+    }
+
+    const isTombstone = (n) => n.deleted === true || Boolean(n.deletedAt ?? n.deleted_at);
+    const notes = items.filter((n) => !isTombstone(n)).map((n) => normalizeNote(n));
+    const deletedIds = [...deleted, ...items.filter(isTombstone)].map((d) =>
+      String(typeof d === 'object' ? normalizeNote(d).id : d)
+    );
+
+    if (cursor === null && notes.length > 0) {
+      cursor = String(Math.max(...notes.map((n) => n.updatedAt)));
+    }
+    return {
+      notes,
+      deleted: deletedIds,
+      cursor: cursor ?? since ?? null,
+      full,
+      stale: fromOfflineCache(res),
+    };
+  }
+
+  /**
+   * GET /api/notes/{id} → a single note.
+   * Falls back to searching the full list for backends without the single-item route.
+   *
+   * @param {string} id
+   * @returns {Promise<import('./app.js').Note>}
+   * @throws {NotFoundError} if the note does not exist
+   */
+  async function getNote(id) {
+    try {
+      const res = await request(notesUrl(id), {
+        cache: 'no-store',
+        headers: { Accept: 'application/json' },
+      });
+      const raw = await readJson(res);
+      if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+        rememberEtag(id, res);
+        return normalizeNote(raw, { id });
+      }
+    } catch (err) {
+      // 404 here may just mean "no GET-by-id route"; the list below decides.
+      if (!(err instanceof NotFoundError || err instanceof MethodNotAllowedError)) throw err;
+    }
+    const found = (await listNotes()).find((x) => x.id === String(id));
+    if (!found) throw new NotFoundError(`Note ${id} not found`);
+    return found;
+  }
+
+  /**
+   * POST /api/notes → the created note.
+   * Servers answering 201 without a body are handled via the Location header
+   * (single GET); only without one is the note looked up in the full list.
+   *
+   * @param {{ title: string, content: string }} fields
+   * @returns {Promise<import('./app.js').Note>}
+   * @throws {NotFoundError} if the note cannot be found after an empty-body response
+   */
+  async function createNote({ title, content }) {
+    const res = await request(notesUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ title, content }),
+    });
+
+    const created = await readWriteResult(res);
+    if (created) return normalizeNote(created, { title, content });
+
+    const location = res.headers?.get('location');
+    if (location) {
+      const id = decodeURIComponent(location.split('/').filter(Boolean).pop());
+      return getNote(id);
+    }
+
+    const match = (await listNotes()).find((x) => x.title === title && x.content === content);
+    if (!match) throw new NotFoundError('Created note not found in list');
+    return match;
+  }
+
+  /**
+   * PUT /api/notes/{id} → the updated note.
+   * Only defined fields are sent; a bodiless 200/204 is resolved via getNote(id),
+   * or, if that fails too, by applying the fields to the local copy (`local` or
+   * `base`), so nothing (createdAt, untouched fields) is made up.
+   *
+   * Optimistic concurrency (only when `base` – the version the edit started from – is given):
+   * - The server copy is checked first; if it has a newer updatedAt AND a different
+   *   title/content than `base`, nothing is written and a ConflictError is thrown.
+   *   (Comparing the text too avoids false alarms from backends without timestamps,
+   *   where normalizeNote() fills in "now".)
+   * - The request also carries If-Match (last known ETag) and If-Unmodified-Since,
+   *   so backends that support preconditions can reject races atomically (409/412).
+   *
+   * @param {string} id
+   * @param {{ title?: string, content?: string, pinned?: boolean }} fields
+   * @param {{ base?: import('./app.js').Note, local?: import('./app.js').Note }} [options]
+   *   `local`: the note as stored here, when no `base` is checked (defaults to `base`)
+   * @returns {Promise<import('./app.js').Note>}
+   * @throws {ConflictError} with `serverNote` set when the server copy is newer
+   */
+  async function updateNote(id, { title, content, pinned }, { base, local = base } = {}) {
+    // Build minimal payload (omit undefined fields to avoid overwriting on server)
+    const payload = {};
+    if (typeof title === 'string') payload.title = title;
+    if (typeof content === 'string') payload.content = content;
+    if (typeof pinned === 'boolean') payload.pinned = pinned;
+
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+    if (base) {
+      const server = await getNote(id);
+      const changed = server.title !== base.title || server.content !== base.content;
+      if (server.updatedAt > base.updatedAt && changed) {
+        throw new ConflictError(`Note ${id} was changed on the server`, { serverNote: server });
+      }
+      if (etags.has(String(id))) headers['If-Match'] = etags.get(String(id));
+      headers['If-Unmodified-Since'] = new Date(base.updatedAt).toUTCString();
+    }
+
+    let res;
+    try {
+      res = await request(notesUrl(id), {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify(payload),
+      });
+    } catch (err) {
+      // A precondition failed on the server → attach its current copy for merging.
+      if (err instanceof ConflictError && !err.serverNote) {
+        err.serverNote = await getNote(id).catch(() => null);
+      }
+      throw err;
+    }
+    rememberEtag(id, res);
+
+    const updated = await readWriteResult(res);
+    if (updated) return normalizeNote(updated, { id, ...payload });
+
+    return getNote(id).catch(() =>
+      local
+        ? { ...local, ...payload, id: String(id), updatedAt: Date.now() }
+        : normalizeNote({}, { id, ...payload })
+    );
+  }
+
+  /**
+   * DELETE /api/notes/{id}.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async function deleteNote(id) {
+    await request(notesUrl(id), { method: 'DELETE', headers: { Accept: 'application/json' } });
+  }
+
+  /**
+   * Cheap reachability check (GET /api/notes, bypassing the HTTP cache).
+   * A cached answer from the service worker means the backend was not reached.
+   * @returns {Promise<boolean>}
+   */
+  async function ping() {
+    try {
+      const res = await request(notesUrl(), { cache: 'no-store' });
+      return !fromOfflineCache(res);
+    } catch {
+      return false;
+    }
+  }
+
+  return { baseUrl, listNotes, listChanges, getNote, createNote, updateNote, deleteNote, ping };
+}
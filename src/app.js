@@ -17,91 +17,120 @@
  */
 
 import { initThemeController } from './theme.js';
-import { loadNotes, saveNotes } from './storage.js';
+import { initPwa } from './pwa.js';
+import { loadNotes, saveNotes, markPersisted, listQuarantine, clearQuarantine } from './storage.js';
 import { now, timeAgo } from './time.js';
-import { confirmDialog } from './dialogs.js';
-import { exportNotes, parseImportedFile, mergeNotes } from './backup.js';
+import { confirmDialog, historyDialog, mergeDialog } from './dialogs.js';
+import { exportNotes, exportQuarantine, parseImportedFile, mergeNotes } from './backup.js';
 import {
-  generateId,
-  escapeHtml,
-  byPinnedThenUpdated,
-  matchesQuery,
-  extractTags,
-  highlightText,
-  parseQuery,
-} from './utils.js';
-
-// ===== Backend API config =====
-// Pick API base automatically:
-// - During local dev (served from localhost/127.0.0.1), use the backend port.
-// - In any other environment (e.g., deployed behind a reverse proxy), use relative URLs.
-const API_BASE = ['localhost', '127.0.0.1'].includes(location.hostname)
-  ? 'http://localhost:5257' // dev backend
-  : ''; // prod/same-origin (fetch('/api/notes'))
+  createApiClient,
+  resolveApiBase,
+  ConflictError,
+  MethodNotAllowedError,
+  NotFoundError,
+} from './api.js';
+import { loadCursor, pullChanges } from './sync.js';
+import { enqueue, pendingIds, pendingCount, replayOutbox, clearStaleInFlight } from './outbox.js';
+import { subscribeChanges } from './tabsync.js';
+import { loadMode, saveMode } from './mode.js';
+import { createSearchIndex } from './search.js';
+import { parseSearch, positiveTerms } from './query.js';
+import { buildSnippets } from './snippets.js';
+import { renderInlineMarkdown, renderMarkdown } from './markdown.js';
+import { findTasks, openTasks, toggleTask } from './tasks.js';
+import {
+  TRASH_DAYS,
+  expiredEntries,
+  loadTrash,
+  loadTrashDays,
+  moveToTrash,
+  purgeDate,
+  renameTrashed,
+  saveTrashDays,
+  takeFromTrash,
+  trashedIds,
+} from './trash.js';
+import {
+  HISTORY_LIMITS,
+  dropRevisions,
+  listRevisions,
+  loadHistoryLimit,
+  moveRevisions,
+  recordRevision,
+  saveHistoryLimit,
+} from './history.js';
+import {
+  loadSavedSearches,
+  saveSavedSearches,
+  createSavedSearch,
+  mergeSavedSearches,
+  subscribeSavedSearches,
+} from './savedsearches.js';
+import { readViewState, writeViewState } from './urlstate.js';
+import {
+  DEFAULT_VIEW,
+  GROUPS,
+  SORTS,
+  groupNotes,
+  loadListView,
+  saveListView,
+  sortNotes,
+} from './listview.js';
+import { initRecentSearches, rememberSearch } from './recentsearches.js';
+import { parseTagInput, planTagChange } from './tags.js';
+import { attachTagAutocomplete } from './tagsuggest.js';
+import {
+  attachLinkAutocomplete,
+  buildLinkIndex,
+  isLinkableTitle,
+  normalizeTitle,
+  planLinkRename,
+} from './wikilinks.js';
+import { generateId, escapeHtml, highlightText, tagMatches } from './utils.js';
+
+// ===== Backend API =====
+// All HTTP details (base URL, status codes, response normalization) live in api.js.
+// The *ViaApi helpers below adapt the client to the UI: they never throw, log the
+// typed error, and return null / false instead.
+const api = createApiClient({ baseUrl: resolveApiBase() });
+
+// Sync mode (see mode.js). In 'local' mode the API above is never called.
+const mode = loadMode();
+const localOnly = mode === 'local';
 
 /**
- * Load notes from the backend API and normalize them to our frontend Note shape.
- * - Never throws: returns an empty array on any error.
- * - Normalizes field names/casing and timestamp formats.
- * - Ensures `id` is a string (our UI expects string IDs).
+ * Pull server changes into `notes` (delta sync, see sync.js).
+ * - Only notes changed since the last sync are downloaded; tombstones remove notes.
+ * - Notes with queued outbox changes are left alone (local edits win).
+ * - Notes in the trash stay there (see trash.js).
+ * - Persists + re-renders only if something actually changed.
+ * - Throws on network/HTTP errors; local state is untouched in that case.
+ *
+ * @param {Object}  [options]
+ * @param {boolean} [options.full=false]        - ignore the cursor and fetch a full snapshot
+ * @param {boolean} [options.keepOnEmpty=false] - keep local notes if the backend is empty
+ * @returns {Promise<number>} number of added/updated/removed notes
  */
-async function loadNotesFromApi() {
-  try {
-    // 1) Perform a simple GET request against our notes endpoint.
-    const res = await fetch(`${API_BASE}/api/notes`);
-    if (!res.ok) {
-      // Non-200 response (e.g., 404/500). Log and bail out gracefully.
-      console.error('API error:', res.status, await res.text());
-      return [];
-    }
-
-    // 2) Parse the JSON array returned by the API.
-    const raw = await res.json();
-    if (!Array.isArray(raw)) {
-      console.warn('API returned a non-array payload:', raw);
-      return [];
-    }
-
-    // Helper: convert many possible timestamp formats to Unix ms.
-    const toMs = (v) => {
-      if (!v) return undefined;
-      // Already a number? Assume ms if reasonably large, else seconds.
-      if (typeof v === 'number') {
-        return v > 1e12 ? v : v * 1000; // heuristic for s → ms
-      }
-      // ISO string or anything Date can parse.
-      const t = Date.parse(v);
-      return Number.isFinite(t) ? t : undefined;
-    };
-
-    // 3) Map API items to our Note shape.
-    const normalized = raw.map((n) => {
-      // Try multiple common field names to be robust.
-      const id = n.id ?? n.noteId ?? n.noteID ?? n.guid ?? n.uuid ?? n._id ?? n.key;
-
-      return {
-        // Our UI logic expects string IDs for dataset attributes.
-        id: String(id ?? crypto.randomUUID()),
-        title: n.title ?? n.name ?? '',
-        content: n.content ?? n.body ?? '',
-        createdAt: toMs(n.createdAt ?? n.created_at ?? n.createdOn ?? n.created_on) ?? Date.now(),
-        updatedAt: toMs(n.updatedAt ?? n.updated_at ?? n.modifiedAt ?? n.modified_at) ?? Date.now(),
-        // Backend may not know about pinning; default to false.
-        pinned: Boolean(n.pinned ?? false),
-      };
-    });
-
-    return normalized;
-  } catch (err) {
-    // Network errors, CORS issues, etc. → log and return empty list.
-    console.error('Network error while loading notes from API:', err);
-    return [];
+async function pullFromApi({ full = false, keepOnEmpty = false } = {}) {
+  const result = await pullChanges(api, {
+    getLocal: () => notes,
+    getPending: pendingIds,
+    getTrashed: trashedIds,
+    full,
+    keepOnEmpty,
+  });
+  if (result.changed > 0) {
+    notes = result.notes;
+    saveNotes(notes);
+    render();
   }
+  return result.changed;
 }
 
 /**
  * Force-refresh notes from the backend API.
- * - Replaces the in-memory list with the API result (even if empty).
+ * - Fetches a full snapshot (ignores the sync cursor) and replaces the
+ *   in-memory list with it (even if empty), keeping unsynced local edits.
  * - Updates the local cache for offline usage.
  * - Renders the UI afterwards.
  * - Shows a tiny "busy" hint by changing the cursor.
@@ -112,252 +141,136 @@ async function refreshFromApi() {
   document.body.style.cursor = 'progress';
   showLoading('Refreshing from API…'); // show while hard refresh runs
   try {
-    const apiNotes = await loadNotesFromApi();
-
-    // Replace current state with whatever the API returns (array or empty array).
-    notes = Array.isArray(apiNotes) ? apiNotes : [];
-
-    // Keep a local cache so a page refresh still shows content offline.
-    saveNotes(notes);
-
-    // Re-render UI to reflect the latest server state.
-    render();
-
-    console.info(`[Refresh] Loaded ${notes.length} note(s) from API.`);
+    const changed = await pullFromApi({ full: true });
+    console.info(`[Refresh] ${changed} change(s) from API, ${notes.length} note(s) total.`);
   } catch (err) {
     console.error('[Refresh] Failed to load from API:', err);
     alert('Refreshing from API failed. Please try again.');
   } finally {
+    // Re-render UI (replaces the loading placeholder in every case).
+    render();
     document.body.style.cursor = prevCursor;
   }
 }
 
 /**
  * Create a new note in the backend (HTTP POST).
- * Robust handling:
- * - Accepts 200 or 201.
- * - Works even if the server returns an empty body (no JSON).
- * - On success with empty body, it refreshes the list and tries to find the created note.
+ * - Works even if the server returns an empty body (see api.createNote).
  * - Returns a normalized Note object or null on error.
  */
 async function createNoteViaApi({ title, content }) {
   try {
-    const payload = { title, content };
-
-    const res = await fetch(`${API_BASE}/api/notes`, {
-      method: 'POST',
-      headers: {
-        // Tell the server we send JSON and prefer JSON back.
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    // 405 = Method Not Allowed → likely no [HttpPost] in your backend route
-    if (res.status === 405) {
-      console.error(
-        'API POST not allowed (405). Check your backend: is [HttpPost] implemented at /api/notes?'
-      );
-      return null;
-    }
-
-    // Any other non-2xx → log and bail out gracefully
-    if (!res.ok) {
-      const errText = await res.text().catch(() => '');
-      console.error('API POST error:', res.status, errText);
-      return null;
-    }
-
-    // Try to parse JSON if present
-    const ct = res.headers.get('content-type') || '';
-    const rawText = await res.text(); // read body once (may be empty)
-
-    let created = null;
-    if (ct.includes('application/json') && rawText.trim().length > 0) {
-      try {
-        created = JSON.parse(rawText);
-      } catch (e) {
-        console.warn('POST returned non-JSON body:', rawText);
-      }
+    return await api.createNote({ title, content });
+  } catch (err) {
+    if (err instanceof MethodNotAllowedError) {
+      console.error('API POST not allowed (405). Is [HttpPost] implemented at /api/notes?');
     } else {
-      // No JSON body (common with 201 Created). We'll refresh the list below.
-      console.warn('POST succeeded but returned no JSON body. Will refresh from API.');
-    }
-
-    // Helper to normalize timestamps to ms
-    const toMs = (v) => {
-      if (!v) return Date.now();
-      if (typeof v === 'number') return v > 1e12 ? v : v * 1000; // sec→ms heuristic
-      const t = Date.parse(v);
-      return Number.isFinite(t) ? t : Date.now();
-    };
-
-    // If we didn't receive the created note, fallback: reload and try to find it
-    if (!created) {
-      const list = await loadNotesFromApi();
-      const match = list.find((x) => x.title === title && x.content === content);
-      if (!match) return null; // Couldn’t find it; caller can decide to refresh UI
-      return match;
+      console.error('Creating note via API failed:', err);
     }
-
-    // Normalize to our frontend Note shape
-    const id =
-      created.id ??
-      created.noteId ??
-      created.noteID ??
-      created.guid ??
-      created.uuid ??
-      created._id ??
-      created.key;
-
-    return {
-      id: String(id ?? crypto.randomUUID()),
-      title: created.title ?? title ?? '',
-      content: created.content ?? content ?? '',
-      createdAt: toMs(
-        created.createdAt ?? created.created_at ?? created.createdOn ?? created.created_on
-      ),
-      updatedAt: toMs(
-        created.updatedAt ?? created.updated_at ?? created.modifiedAt ?? created.modified_at
-      ),
-      pinned: Boolean(created.pinned ?? false),
-    };
-  } catch (err) {
-    console.error('Network error while creating note:', err);
     return null;
   }
 }
 
 /**
  * Delete a note in the backend (HTTP DELETE).
- * - Expects the backend route to accept /api/notes/{id}
- * - Returns true on success (204/200), false otherwise.
- * - Does NOT touch UI state; we'll wire the click handler in the next step.
+ * - Returns true on success, false otherwise.
+ * - A 404 counts as success: the note is already gone on the server.
  */
 async function deleteNoteViaApi(id) {
   try {
-    const res = await fetch(`${API_BASE}/api/notes/${encodeURIComponent(id)}`, {
-      method: 'DELETE',
-      headers: {
-        Accept: 'application/json', // harmless if the server returns no body
-      },
-    });
-
-    // Typical success cases:
-    // - 204 No Content
-    // - 200 OK (some APIs return the deleted entity)
-    if (res.status === 204 || res.status === 200) {
-      return true;
-    }
-
-    // Not found or other server responses → treat as failure for the caller.
-    const errText = await res.text().catch(() => '');
-    console.error('API DELETE error:', res.status, errText);
-    return false;
+    await api.deleteNote(id);
+    return true;
   } catch (err) {
-    console.error('Network error while deleting note:', err);
+    if (err instanceof NotFoundError) return true;
+    console.error('Deleting note via API failed:', err);
     return false;
   }
 }
 
 /**
  * Update an existing note in the backend (HTTP PUT).
- * - Endpoint shape: /api/notes/{id}
  * - Payload: only the fields we want to change (title/content/pinned).
- * - Accepts 200 or 204. If no JSON body is returned, we refresh from API and pick the note by id.
+ * - Pass `base` (the note version the edit started from) to detect conflicts;
+ *   without it, `local` (the note as stored here) completes a bodiless answer.
  * - Returns a normalized Note object (or null on error).
+ * - Exception to "never throws": a ConflictError is rethrown so the caller can merge.
  */
-async function updateNoteViaApi(id, { title, content, pinned }) {
+async function updateNoteViaApi(id, { title, content, pinned }, { base, local } = {}) {
   try {
-    // Build minimal payload (omit undefined fields to avoid overwriting on server)
-    const payload = {};
-    if (typeof title === 'string') payload.title = title;
-    if (typeof content === 'string') payload.content = content;
-    if (typeof pinned === 'boolean') payload.pinned = pinned;
-
-    const res = await fetch(`${API_BASE}/api/notes/${encodeURIComponent(id)}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    // Common server response codes
-    if (res.status === 404) {
-      console.error('API PUT: note not found (404)');
-      return null;
-    }
-    if (!res.ok) {
-      const errText = await res.text().catch(() => '');
-      console.error('API PUT error:', res.status, errText);
-      return null;
-    }
-
-    // Try to read JSON body if present
-    const ct = res.headers.get('content-type') || '';
-    const rawText = await res.text(); // may be empty for 204
-
-    let updated = null;
-    if (ct.includes('application/json') && rawText.trim().length > 0) {
-      try {
-        updated = JSON.parse(rawText);
-      } catch {
-        console.warn('PUT returned non-JSON body:', rawText);
-      }
-    } else {
-      // No body returned → we'll refresh and take the item by id.
-      // This keeps our UI consistent without assuming server response shape.
-      const list = await loadNotesFromApi();
-      const found = list.find((x) => String(x.id) === String(id));
-      if (found) return found;
-      // If we can't find it, fall through to normalization with `updated = {}`
-      updated = {};
-    }
-
-    // ---- Normalize to our frontend Note shape (like other helpers) ----
-    const toMs = (v) => {
-      if (!v) return Date.now();
-      if (typeof v === 'number') return v > 1e12 ? v : v * 1000; // sec→ms heuristic
-      const t = Date.parse(v);
-      return Number.isFinite(t) ? t : Date.now();
-    };
-
-    const normId =
-      updated.id ??
-      updated.noteId ??
-      updated.noteID ??
-      updated.guid ??
-      updated.uuid ??
-      updated._id ??
-      updated.key ??
-      id;
-
-    return {
-      id: String(normId),
-      title: updated.title ?? title ?? '',
-      content: updated.content ?? content ?? '',
-      createdAt: toMs(
-        updated.createdAt ?? updated.created_at ?? updated.createdOn ?? updated.created_on
-      ),
-      updatedAt: toMs(
-        updated.updatedAt ?? updated.updated_at ?? updated.modifiedAt ?? updated.modified_at
-      ),
-      pinned: Boolean(updated.pinned ?? pinned ?? false),
-    };
+    return await api.updateNote(id, { title, content, pinned }, { base, local });
   } catch (err) {
-    console.error('Network error while updating note:', err);
+    if (err instanceof ConflictError) throw err;
+    if (err instanceof NotFoundError) console.error('API PUT: note not found (404)');
+    else console.error('Updating note via API failed:', err);
     return null;
   }
 }
 
 // ---- State ----
-// In-memory state of all notes; persisted via localStorage.
-let notes = loadNotes();
+// In-memory state of all notes; persisted via storage.js (IndexedDB or localStorage).
+/** @type {Note[]} */
+let notes = [];
+// Resolves once the local store has been read. Anything that merges into `notes`
+// (hydration, outbox replay, sync) waits for it, so it never works on the empty placeholder.
+const notesReady = loadNotes().then((list) => {
+  notes = list;
+});
+
+/**
+ * Position of a note in `notes` (-1 if it is gone). Handlers look it up again
+ * after every await: a background pull or another tab may have replaced `notes`
+ * meanwhile, so an index taken before would point at a different note.
+ * @param {string} id
+ * @returns {number}
+ */
+function noteIndex(id) {
+  return notes.findIndex((n) => String(n.id) === String(id));
+}
+// Full-text/tag index over `notes` (search.js); render() keeps it in sync.
+const searchIndex = createSearchIndex();
+// Notes whose full content is shown despite an active search (snippet "expand");
+// reset whenever the query changes.
+const expandedIds = new Set();
+// [[Links]] between the notes (wikilinks.js), rebuilt on every render().
+let linkIndex = buildLinkIndex([]);
+/** Whether a [[link]] leads to an existing note (markdown.js marks the others). */
+const linkExists = (title) => Boolean(linkIndex.resolve(title));
+// Named queries shown in the sidebar (savedsearches.js), in the user's order.
+let savedSearches = loadSavedSearches();
+
+/**
+ * Sort/grouping of the list: the stored choice, unless the URL asks for another
+ * one (a shared link); changing it in the UI stores it (listview.js).
+ * @returns {import('./listview.js').ListView}
+ */
+function resolveListView() {
+  const stored = loadListView();
+  const { sort, group } = readViewState();
+  return {
+    ...stored,
+    sort: SORTS.includes(sort) ? sort : stored.sort,
+    group: GROUPS.includes(group) ? group : stored.group,
+  };
+}
+let listView = resolveListView();
+
+/**
+ * Which list is shown: the notes (''), "Offene Aufgaben" (tasks.js) or the
+ * Papierkorb (trash.js); part of the URL (#view=tasks, #view=trash).
+ * @returns {''|'tasks'|'trash'}
+ */
+function resolveView() {
+  const { view } = readViewState();
+  return view === 'tasks' || view === 'trash' ? view : '';
+}
+let activeView = resolveView();
+// Trashed notes ticked for a bulk restore/purge (ids).
+const trashSelection = new Set();
+
 /** @type {Note['id'] | null} */
 let editingId = null; // id of the note currently being edited (null = none)
+/** @type {Note | null} */
+let editingBase = null; // snapshot of the note version the edit started from
 
 // ---- DOM ----
 // Cache hot DOM nodes used throughout the file to avoid repeated lookups.
@@ -366,6 +279,16 @@ const titleEl = document.getElementById('title');
 const contentEl = document.getElementById('content');
 const listEl = document.getElementById('notes');
 const searchEl = document.getElementById('search');
+const searchErrorEl = document.getElementById('search-error');
+const savedListEl = document.getElementById('saved-searches');
+const saveSearchBtn = document.getElementById('save-search-btn');
+const tagListEl = document.getElementById('tag-list');
+const sortSelect = document.getElementById('sort-select');
+const groupSelect = document.getElementById('group-select');
+const viewNotesBtn = document.getElementById('view-notes');
+const viewTasksBtn = document.getElementById('view-tasks');
+const viewTrashBtn = document.getElementById('view-trash');
+const undoToast = document.getElementById('undo-toast');
 
 const editModal = document.getElementById('edit-modal');
 const editForm = document.getElementById('edit-form');
@@ -380,24 +303,109 @@ const importBtn = document.getElementById('import-btn');
 const importInput = document.getElementById('import-input');
 
 // ===== API online state (centralized) =====
-// We keep a flag and a single function that enforces read-only UI when offline.
+// We keep a flag and a single function that reflects the API state in the UI.
+// Controls stay usable while offline: changes go to the outbox (see outbox.js).
 let apiOnline = true;
 
 /**
  * Apply current API state to interactive controls.
- * - Disables "Add" button and all item actions when offline.
+ * - Explains via tooltip what happens to changes while the API is offline
+ *   (queued in 'auto' mode, refused in 'backend' mode).
  * - Call this after any re-render to keep buttons in sync.
  */
 function applyApiOnlineState() {
+  if (localOnly) return; // nothing depends on the API
+
+  const offlineHint =
+    mode === 'backend' ? 'API offline – changes cannot be saved' : 'API offline – synced later';
   const submitBtn = form.querySelector('button[type="submit"]');
   if (submitBtn) {
-    submitBtn.disabled = !apiOnline;
-    submitBtn.title = apiOnline ? 'Add note' : 'API offline – cannot create notes';
+    submitBtn.title = apiOnline ? 'Add note' : offlineHint;
   }
   listEl.querySelectorAll('button[data-action]').forEach((btn) => {
-    btn.disabled = !apiOnline;
-    btn.title = apiOnline ? '' : 'API offline – action disabled';
+    btn.title = apiOnline ? '' : offlineHint;
+  });
+}
+
+/**
+ * Should a change to this note be applied locally instead of sent to the API?
+ * - Always in local-only mode (nothing is ever sent).
+ * - While offline in 'auto' mode (the change goes to the outbox).
+ * - Also while the note still has queued changes, so the server sees them in order
+ *   (e.g. an offline-created note has no server id yet).
+ *
+ * @param {string} [id] - note id; omit for creates
+ * @returns {boolean}
+ */
+function handleLocally(id) {
+  if (localOnly) return true;
+  if (!apiOnline && mode === 'auto') return true;
+  return id !== undefined && pendingIds().has(String(id));
+}
+
+/**
+ * Queue a locally applied change for the backend (see outbox.js).
+ * In local-only mode nothing replays the queue; it records what the backend has
+ * not seen yet, so switching to another mode later uploads it instead of the
+ * first sync dropping those notes.
+ *
+ * @param {import('./outbox.js').OutboxOp} op
+ */
+function queueChange(op) {
+  enqueue(op);
+}
+
+/**
+ * Take over the server's answer for a replayed outbox entry.
+ * - Swaps a temporary client id for the server-assigned one (also in the trash).
+ * - Keeps the local copy if newer edits for the note are still queued.
+ *
+ * @param {import('./outbox.js').OutboxOp} op
+ * @param {Note|boolean} result - normalized note (create/update) or true (delete)
+ */
+function applySyncedOp(op, result) {
+  if (op.type === 'delete') return;
+
+  const serverId = String(result.id);
+  const i = notes.findIndex((n) => String(n.id) === op.id);
+  if (i < 0) {
+    // Deleted meanwhile: it waits in the trash under its new id.
+    if (renameTrashed(op.id, serverId)) moveRevisions(op.id, serverId);
+    return;
+  }
+
+  notes[i] = pendingIds().has(serverId)
+    ? { ...notes[i], id: serverId }
+    : { ...notes[i], ...result, pinned: notes[i].pinned };
+  if (editingId === op.id) editingId = serverId;
+  moveRevisions(op.id, serverId);
+}
+
+// A replay cut off by a crashed tab would otherwise keep the head of the outbox
+// from being coalesced until the next replay.
+clearStaleInFlight();
+
+/**
+ * Replay the outbox against the API (called when the API is reachable again).
+ * Persists and re-renders only if something was actually synced.
+ */
+async function flushOutbox() {
+  if (pendingCount() === 0) return;
+
+  const { synced, remaining } = await replayOutbox({
+    create: createNoteViaApi,
+    update: (id, payload) =>
+      updateNoteViaApi(id, payload, { local: notes.find((n) => String(n.id) === id) }),
+    remove: deleteNoteViaApi,
+    onSynced: applySyncedOp,
   });
+
+  if (synced > 0) {
+    saveNotes(notes);
+    render();
+    console.info(`[Outbox] Synced ${synced} change(s), ${remaining} remaining.`);
+  }
+  updateApiStatus();
 }
 
 // ===== UI: Refresh button (no HTML change) =====
@@ -629,37 +637,51 @@ document.addEventListener('DOMContentLoaded', () => {
 
 /**
  * Ping the API with a lightweight GET to decide if it's reachable.
- * Returns true on HTTP 200, false otherwise.
+ * Returns true on any 2xx, false otherwise.
  */
-async function pingApi() {
-  try {
-    // Use notes endpoint since it's already CORS-enabled and cheap.
-    const res = await fetch(`${API_BASE}/api/notes`, { cache: 'no-store' });
-    return res.ok;
-  } catch {
-    return false;
-  }
+function pingApi() {
+  return api.ping();
+}
+
+/**
+ * Update the status badge (label, color, tooltip) from `apiOnline`
+ * and the number of queued outbox entries.
+ */
+function updateApiStatus() {
+  const pending = pendingCount();
+  const suffix = pending > 0 ? ` · ${pending} pending` : '';
+
+  apiStatus.style.color = apiOnline ? 'green' : 'crimson';
+
+  // Shorter label; full info via tooltip
+  apiStatus.textContent = (apiOnline ? 'API: Online' : 'API: Offline') + suffix;
+  apiStatus.title = apiOnline
+    ? 'Backend reachable'
+    : 'Backend not reachable – changes are queued and synced when it is back';
+  apiStatus.dataset.state = apiOnline ? 'online' : 'offline'; // keeps your badge colors working
 }
 
 /**
  * Start periodic updates of the indicator (every 30s).
- * Also runs once immediately on start.
+ * Also runs once immediately on start. Every successful check also
+ * triggers a delta sync, so changes from other devices show up by themselves.
  */
 function startApiHealthIndicator() {
   const setState = (ok) => {
     apiOnline = ok; // keep a single source of truth
 
-    // Update label + color
-    //apiStatus.textContent = ok ? 'API: Online' : 'API: Offline (read-only)';
-    apiStatus.style.color = ok ? 'green' : 'crimson';
-
-    // Shorter label; full info via tooltip
-    apiStatus.textContent = ok ? 'API: Online' : 'API: Offline';
-    apiStatus.title = ok ? 'Backend reachable' : 'Read-only: backend not reachable';
-    apiStatus.dataset.state = ok ? 'online' : 'offline'; // keeps your badge colors working
+    updateApiStatus();
 
     // Enforce UI state for all controls (newly rendered ones included)
     applyApiOnlineState();
+
+    // Online: replay queued changes first, then pull what others changed meanwhile.
+    if (ok) {
+      notesReady
+        .then(flushOutbox)
+        .then(() => pullFromApi())
+        .catch((err) => console.warn('[Sync] Pulling changes failed:', err));
+    }
   };
 
   // First check immediately
@@ -684,13 +706,74 @@ if (exportBtn?.parentElement) {
 // (no need to check parentElement anymore)
 
 refreshBtn.parentElement.insertBefore(apiStatus, refreshBtn.nextSibling);
-// Start the indicator when the DOM is ready
-document.addEventListener('DOMContentLoaded', startApiHealthIndicator);
+
+// Local-only mode: no backend → no Refresh, no status badge, no health checks.
+if (localOnly) {
+  refreshBtn.hidden = true;
+  apiStatus.hidden = true;
+} else {
+  // Start the indicator when the DOM is ready
+  document.addEventListener('DOMContentLoaded', startApiHealthIndicator);
+}
 
 // ---- Theme init ----
 // Initialize theme controller as soon as DOM is ready (toggle, system sync).
 document.addEventListener('DOMContentLoaded', initThemeController);
 
+// ---- Sync mode ----
+// Reflect the active mode in the header select; a change is saved and applied by
+// reloading, so no API timers/requests of the old mode keep running.
+const modeSelect = document.getElementById('mode-select');
+if (modeSelect) {
+  modeSelect.value = mode;
+  modeSelect.addEventListener('change', async () => {
+    const next = modeSelect.value;
+    if (localOnly && !(await confirmLeaveLocalMode())) {
+      modeSelect.value = mode;
+      return;
+    }
+    saveMode(next);
+    window.location.reload();
+  });
+}
+
+/**
+ * Leaving local-only mode: the next sync talks to the backend. Ask first, and make
+ * sure notes the backend has never seen are queued for upload (the outbox
+ * protects them from the first full sync, see sync.js).
+ * @returns {Promise<boolean>} true = switch
+ */
+async function confirmLeaveLocalMode() {
+  // Never synced: every note so far exists only in this browser. Changes made
+  // since the last sync are in the outbox already (queueChange()).
+  const unqueued = () => {
+    if (loadCursor() !== null) return [];
+    const pending = pendingIds();
+    return notes.filter((note) => !pending.has(String(note.id)));
+  };
+  const count = pendingIds().size + unqueued().length;
+  const ok = await confirmDialog({
+    title: 'Switch sync mode',
+    text:
+      count > 0
+        ? `The app will reload and sync with the backend. ${count} note(s) changed in local-only mode will be uploaded first.`
+        : 'The app will reload and sync with the backend.',
+    okText: 'Wechseln',
+  });
+  // Queue only once confirmed: on cancel the app stays local-only, where
+  // queued creates would just sit in the outbox.
+  if (ok) {
+    for (const { id, title, content } of unqueued()) {
+      enqueue({ type: 'create', id: String(id), payload: { title, content } });
+    }
+  }
+  return ok;
+}
+
+// ---- PWA ----
+// Offline app shell + "update available" prompt (see pwa.js / sw.js).
+document.addEventListener('DOMContentLoaded', initPwa);
+
 // ---- Rendering ----
 
 // ===== Tiny loading helper =====
@@ -717,6 +800,168 @@ function refreshTimes() {
   });
 }
 
+/**
+ * Show query syntax errors below the search box (or hide the message).
+ * @param {import('./query.js').QueryError[]} errors
+ */
+function showSearchErrors(errors) {
+  searchEl?.setAttribute('aria-invalid', String(errors.length > 0));
+  if (!searchErrorEl) return;
+  searchErrorEl.hidden = errors.length === 0;
+  searchErrorEl.textContent = errors.length
+    ? `Suche ungültig: ${errors.map((e) => `${e.message} (Zeichen ${e.at + 1})`).join(' ')}`
+    : '';
+}
+
+/**
+ * Render the saved searches with live match counts (the index must be in sync).
+ * The entry whose query is in the search box is marked as active.
+ * @param {string} q - current search box input (trimmed)
+ */
+function renderSavedSearches(q) {
+  if (saveSearchBtn) {
+    saveSearchBtn.disabled = !q;
+    saveSearchBtn.title = q ? `Save "${q}"` : 'Type a search first';
+  }
+  if (!savedListEl) return;
+
+  if (savedSearches.length === 0) {
+    savedListEl.innerHTML = `<li class="saved-empty">Noch keine gespeicherten Suchen. Gib eine Suche ein und speichere sie hier.</li>`;
+    return;
+  }
+
+  savedListEl.innerHTML = savedSearches
+    .map((s, i) => {
+      const { ast, errors } = parseSearch(s.query);
+      const count = errors.length ? '!' : String(searchIndex.search(ast).length);
+      const active = s.query === q;
+      const id = escapeHtml(s.id);
+      const name = escapeHtml(s.name);
+      return `
+  <li class="saved-search${active ? ' active' : ''}">
+    <button type="button" class="saved-open" data-saved="open" data-id="${id}" title="${escapeHtml(s.query)}"${active ? ' aria-current="true"' : ''}>
+      <span class="saved-name">${name}</span>
+      <span class="saved-count" title="${errors.length ? 'Suche ungültig' : 'Treffer'}">${count}</span>
+    </button>
+    <button type="button" data-saved="up" data-id="${id}" aria-label="${name} nach oben"${i === 0 ? ' disabled' : ''}>↑</button>
+    <button type="button" data-saved="down" data-id="${id}" aria-label="${name} nach unten"${i === savedSearches.length - 1 ? ' disabled' : ''}>↓</button>
+    <button type="button" data-saved="rename" data-id="${id}" aria-label="${name} umbenennen">✎</button>
+    <button type="button" data-saved="delete" data-id="${id}" aria-label="${name} löschen">✕</button>
+  </li>`;
+    })
+    .join('');
+}
+
+/**
+ * Render the tag panel: every tag (nested ones indented below their parent) with
+ * the number of notes it filters to. The tag that is the whole query is active.
+ * @param {string} q - current search box input (trimmed)
+ */
+function renderTagList(q) {
+  if (!tagListEl) return;
+  const counts = searchIndex.tagCounts();
+  if (counts.length === 0) {
+    tagListEl.innerHTML = `<li class="tag-empty">Noch keine Tags. Schreibe #tag in Titel oder Text einer Notiz.</li>`;
+    return;
+  }
+
+  tagListEl.innerHTML = counts
+    .map(({ tag, count }) => {
+      const levels = tag.split('/');
+      const active = q.toLowerCase() === `#${tag}`;
+      const t = escapeHtml(tag);
+      return `
+  <li class="tag-entry${active ? ' active' : ''}" style="--depth: ${levels.length - 1}">
+    <button type="button" class="tag-filter" data-tag-action="filter" data-tag="${t}" title="#${t}"${active ? ' aria-current="true"' : ''}>
+      <span class="tag-name">#${escapeHtml(levels[levels.length - 1])}</span>
+      <span class="tag-count">${count}</span>
+    </button>
+    <button type="button" data-tag-action="rename" data-tag="${t}" aria-label="#${t} umbenennen oder zusammenführen">✎</button>
+    <button type="button" data-tag-action="delete" data-tag="${t}" aria-label="#${t} aus allen Notizen entfernen">✕</button>
+  </li>`;
+    })
+    .join('');
+}
+
+/**
+ * Header of a group in the notes list: label, note count, and a button that
+ * collapses/expands the group.
+ * @param {import('./listview.js').NoteGroup} group
+ * @param {boolean} collapsed
+ * @returns {HTMLLIElement}
+ */
+function groupHeader(group, collapsed) {
+  const li = document.createElement('li');
+  li.className = 'note-group';
+  li.innerHTML = `
+  <button type="button" data-group="${escapeHtml(group.key)}" aria-expanded="${!collapsed}">
+    <span class="group-label">${escapeHtml(group.label)}</span>
+    <span class="group-count" title="Notizen">${group.notes.length}</span>
+  </button>`;
+  return li;
+}
+
+/**
+ * Reflect the current view in the Notizen/Offene Aufgaben/Papierkorb switch.
+ * @param {number} openCount - open tasks in the notes matching the search
+ */
+function showViewSwitch(openCount) {
+  const buttons = { '': viewNotesBtn, tasks: viewTasksBtn, trash: viewTrashBtn };
+  for (const [view, btn] of Object.entries(buttons)) {
+    btn?.setAttribute('aria-pressed', String(activeView === view));
+  }
+  const setCount = (btn, count) => {
+    const countEl = btn?.querySelector('.view-count');
+    if (countEl) countEl.textContent = count ? String(count) : '';
+  };
+  setCount(viewTasksBtn, openCount);
+  setCount(viewTrashBtn, loadTrash().length);
+  // Tasks are always grouped by note; the trash lists the last deleted first.
+  if (groupSelect) groupSelect.disabled = activeView !== '';
+  if (sortSelect) sortSelect.disabled = activeView === 'trash';
+}
+
+/**
+ * Render the open tasks view: one card per note with its unchecked items; the
+ * note title leads back to the note in the list.
+ * @param {{ note: Note, tasks: import('./tasks.js').OpenTask[] }[]} groups
+ * @param {string[]} terms - search terms to highlight
+ * @param {string} q - current search box input (trimmed)
+ */
+function renderOpenTasks(groups, terms, q) {
+  if (groups.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'note empty';
+    li.innerHTML = q
+      ? `<p>Keine offenen Aufgaben in den Notizen für „${escapeHtml(q)}“.</p>`
+      : `<p>Keine offenen Aufgaben. Schreibe „- [ ] …“ in eine Notiz, um eine Checkliste anzulegen.</p>`;
+    listEl.appendChild(li);
+    return;
+  }
+
+  for (const { note, tasks } of groups) {
+    const li = document.createElement('li');
+    li.className = 'note task-group' + (note.pinned ? ' pinned' : '');
+    li.dataset.id = note.id;
+    li.innerHTML = `
+  <h3>
+    <button type="button" class="task-source" data-goto="${note.id}" title="Zur Notiz">
+      ${note.pinned ? '📌 ' : ''}${highlightText(note.title, terms)}
+    </button>
+  </h3>
+  <ul class="task-list">
+    ${tasks
+      .map(
+        (t) =>
+          `<li class="task"><label><input type="checkbox" data-task="${t.index}"> <span>${renderInlineMarkdown(t.text, { terms, linkExists })}</span></label></li>`
+      )
+      .join('')}
+  </ul>
+`;
+    listEl.appendChild(li);
+  }
+}
+
 /**
  * Render the notes list based on current state and search query.
  * Handles empty states (no notes / no matches) and injects action buttons.
@@ -724,8 +969,19 @@ function refreshTimes() {
 function render() {
   // Read current search query; empty string means "match all".
   const q = searchEl?.value.trim() || '';
-  const { tags: queryTags } = parseQuery(q); // NEW
-  listEl.innerHTML = '';
+  const { ast, errors } = parseSearch(q);
+  // Invalid syntax: say so next to the search box and show all notes unfiltered,
+  // instead of quietly matching nothing.
+  const query = errors.length ? null : ast;
+  const { terms: queryTerms, tags: queryTags } = positiveTerms(query);
+  showSearchErrors(errors);
+
+  // Re-index only notes that changed since the last render (also feeds the counts
+  // of the saved searches and the tag panel).
+  searchIndex.sync(notes);
+  linkIndex = buildLinkIndex(notes);
+  renderSavedSearches(q);
+  renderTagList(q);
 
   // Clear existing list items before re-hydrating the view.
   listEl.innerHTML = '';
@@ -738,6 +994,20 @@ function render() {
     exportBtn.title = hasNotes ? 'Export notes as JSON' : 'Nothing to export yet';
   }
 
+  // Rank the matches.
+  const filtered = searchIndex.search(query);
+
+  // Open tasks of the matching notes (their count shows on the view switch).
+  const taskGroups = openTasks(sortNotes(filtered, listView.sort));
+  showViewSwitch(taskGroups.reduce((sum, g) => sum + g.tasks.length, 0));
+
+  // Papierkorb: the deleted notes instead of the list (the search does not apply).
+  if (activeView === 'trash') {
+    renderTrash();
+    applyApiOnlineState();
+    return;
+  }
+
   // Empty-state #1: There are no notes at all yet.
   if (notes.length === 0) {
     const li = document.createElement('li');
@@ -748,11 +1018,6 @@ function render() {
     return;
   }
 
-  const filtered = notes
-    .slice()
-    .sort(byPinnedThenUpdated)
-    .filter((n) => matchesQuery(n, q));
-
   // Empty-state #2: Notes exist, but none match the current search query.
   if (filtered.length === 0) {
     const li = document.createElement('li');
@@ -763,28 +1028,73 @@ function render() {
     return;
   }
 
+  // Open tasks view: the unchecked items instead of the notes.
+  if (activeView === 'tasks') {
+    renderOpenTasks(taskGroups, queryTerms, q);
+    applyApiOnlineState();
+    return;
+  }
+
+  // Notes with queued (not yet synced) changes get a small marker (not in
+  // local-only mode, where nothing is synced).
+  const pending = localOnly ? new Set() : pendingIds();
+
   // Normal rendering: build one <li> per note.
-  filtered.forEach((n) => {
+  const renderNote = (n) => {
     const li = document.createElement('li');
-    li.className = 'note' + (n.pinned ? ' pinned' : '');
+    const isPending = pending.has(String(n.id));
+    li.className = 'note' + (n.pinned ? ' pinned' : '') + (isPending ? ' pending' : '');
+    li.dataset.id = n.id;
 
     const ts = n.updatedAt || n.createdAt || now();
 
-    // Compute tags from title + content for display
-    const tags = extractTags(n.title, n.content);
+    // Tags for display (extracted once when the note was indexed)
+    const tags = searchIndex.tagsOf(n.id);
+
+    // While searching, long notes show only the passages around the hits (snippets.js);
+    // otherwise the content is rendered as Markdown (markdown.js, sanitized).
+    const expanded = expandedIds.has(String(n.id));
+    const snippets = query ? buildSnippets(n.content, queryTerms) : null;
+    const body =
+      snippets?.truncated && !expanded
+        ? `<p class="snippet">${snippets.html}</p>`
+        : `<div class="md">${renderMarkdown(n.content, { terms: queryTerms, linkExists })}</div>`;
+    const more =
+      snippets && !expanded && snippets.hidden > 0
+        ? `<small class="snippet-more">+${snippets.hidden} weitere${snippets.hidden === 1 ? 'r' : ''} Treffer</small>`
+        : '';
+    const toggle = snippets?.truncated
+      ? `<button type="button" class="snippet-toggle" data-expand="${n.id}" aria-expanded="${expanded}">${expanded ? 'Weniger anzeigen' : 'Ganze Notiz anzeigen'}</button>`
+      : '';
+
+    // Notes that link here with [[this title]].
+    const linkedFrom = linkIndex.backlinksOf(n.id);
+    const backlinks = linkedFrom.length
+      ? `<p class="backlinks">Verlinkt von: ${linkedFrom
+          .map(
+            (b) =>
+              `<button type="button" data-goto="${b.id}">${escapeHtml(b.title || '(ohne Titel)')}</button>`
+          )
+          .join(', ')}</p>`
+      : '';
 
     li.innerHTML = `
-  <h3>${n.pinned ? '📌 ' : ''}${highlightText(n.title, q)}</h3>
-  <p>${highlightText(n.content, q)}</p>
+  <h3>${n.pinned ? '📌 ' : ''}${highlightText(n.title, queryTerms)}</h3>
+  ${body}
+  ${more || toggle ? `<div class="snippet-meta">${more}${toggle}</div>` : ''}
   ${
     tags.length
       ? `
     <ul class="tags" aria-label="Tags">
       ${tags
         .map((t) => {
-          const isMatch = queryTags.includes(t);
-          // Add a CSS class when the tag is part of the current query
-          return `<li class="tag${isMatch ? ' match' : ''}">#${escapeHtml(t)}</li>`;
+          // Add a CSS class when the tag (or a parent of it) is part of the current query
+          const isMatch = queryTags.some((q) => tagMatches(t, q));
+          // Nested tags show their path with the parent levels dimmed: #work › clienta › billing
+          const levels = t.split('/').map(escapeHtml);
+          const leaf = levels.pop();
+          const path = levels.map((l) => `<span class="tag-parent">${l} ›</span> `).join('');
+          return `<li class="tag${isMatch ? ' match' : ''}" title="#${escapeHtml(t)}">#${path}${leaf}</li>`;
         })
         .join('')}
     </ul>
@@ -794,34 +1104,69 @@ function render() {
   <small class="ts" data-ts="${ts}" title="${new Date(ts).toLocaleString()}">
     Zuletzt geändert: ${timeAgo(ts)}
   </small>
+  ${backlinks}
+  ${isPending ? '<small class="pending-badge" title="Wird synchronisiert, sobald die API erreichbar ist">⏳ Ausstehend</small>' : ''}
   <div class="actions">
     <button data-action="toggle-pin" data-id="${n.id}">${n.pinned ? 'Unpin' : 'Pin'}</button>
     <button data-action="edit" data-id="${n.id}">Edit</button>
+    <button data-action="history" data-id="${n.id}">History</button>
     <button data-action="delete" data-id="${n.id}">Delete</button>
   </div>
 `;
 
     listEl.appendChild(li);
+  };
+
+  // Sort/group as chosen above the list (listview.js); a collapsed group only shows its header.
+  const groups = groupNotes(sortNotes(filtered, listView.sort), listView.group, {
+    tagsOf: searchIndex.tagsOf,
+  });
+  groups.forEach((group) => {
+    const collapsed = listView.collapsed.includes(group.key);
+    if (group.label) listEl.appendChild(groupHeader(group, collapsed));
+    if (!collapsed) group.notes.forEach(renderNote);
   });
   applyApiOnlineState();
 }
 
 // ---- Events ----
 
+// #tag suggestions while typing in the note editors (tagsuggest.js); the other
+// field of the same note counts as context ("tags already in this note").
+attachTagAutocomplete(titleEl, { getNotes: () => notes, getContext: () => contentEl.value });
+attachTagAutocomplete(contentEl, { getNotes: () => notes, getContext: () => titleEl.value });
+attachTagAutocomplete(editTitle, { getNotes: () => notes, getContext: () => editContent.value });
+attachTagAutocomplete(editContent, { getNotes: () => notes, getContext: () => editTitle.value });
+
+// [[Note title]] suggestions in the content fields (wikilinks.js).
+attachLinkAutocomplete(contentEl, { getNotes: () => notes, getTitle: () => titleEl.value });
+attachLinkAutocomplete(editContent, { getNotes: () => notes, getTitle: () => editTitle.value });
+
 // Create a new note from the top form (POST /api/notes)
 // - Validates inputs
-// - Sends to backend
+// - Sends to backend (or queues it in the outbox while offline; local-only mode: stores it)
 // - On success: prepend to list, cache, re-render
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
 
-  // Guard: when API is offline we bail out (button should be disabled anyway)
-  if (!apiOnline) return;
-
   const title = titleEl.value.trim();
   const content = contentEl.value.trim();
   if (!title || !content) return; // simple required-fields check
 
+  // Local-only / offline: create locally with a temporary id; the outbox swaps in the
+  // server id later (local-only mode keeps the generated one).
+  if (handleLocally()) {
+    const ts = now();
+    const note = { id: generateId(), title, content, createdAt: ts, updatedAt: ts, pinned: false };
+    notes.unshift(note);
+    queueChange({ type: 'create', id: note.id, payload: { title, content } });
+    saveNotes(notes);
+    form.reset();
+    render();
+    updateApiStatus();
+    return;
+  }
+
   // Prevent double submits
   const submitBtn = form.querySelector('button[type="submit"]');
   submitBtn?.setAttribute('disabled', '');
@@ -846,36 +1191,94 @@ form.addEventListener('submit', async (e) => {
   }
 });
 
+/**
+ * Hide the edit modal and forget which note was being edited.
+ */
+function closeEditModal() {
+  editingId = null;
+  editingBase = null;
+  editModal.hidden = true;
+  document.body.classList.remove('no-scroll');
+}
+
 /**
  * Update note via API on edit-form submit.
- * - Sends the edits to the backend (PUT /api/notes/{id})
+ * - Sends the edits to the backend (PUT /api/notes/{id}) together with the
+ *   version the edit started from (optimistic concurrency, see api.updateNote).
+ * - If the server copy is newer, the merge dialog lets the user pick
+ *   mine / theirs / a hand-merged version per field, then we save that.
  * - On success: replace the local note with the server-authoritative version,
- *   cache to localStorage, close the modal, and re-render.
- * - On failure: keep the modal open and show a simple alert.
+ *   cache locally, close the modal, and re-render.
+ * - On failure (or a cancelled merge): keep the modal open.
  */
 editForm.addEventListener('submit', async (e) => {
   e.preventDefault();
   if (!editingId) return;
 
-  // Find the note being edited in our in-memory list.
-  const idx = notes.findIndex((n) => String(n.id) === String(editingId));
+  // Find the note being edited in our in-memory list (the modal may be closed
+  // while the request runs, so keep its id).
+  const id = String(editingId);
+  const idx = noteIndex(id);
   if (idx < 0) return;
+  const oldTitle = notes[idx].title;
 
   // Gather trimmed values from the modal inputs.
   const newTitle = editTitle.value.trim();
   const newContent = editContent.value.trim();
   if (!newTitle || !newContent) return; // simple required-fields check
 
+  // Local-only / offline (or earlier changes still queued): apply locally and queue the update.
+  if (handleLocally(editingId)) {
+    const before = notes[idx];
+    notes[idx] = { ...before, title: newTitle, content: newContent, updatedAt: now() };
+    queueChange({
+      type: 'update',
+      id: String(editingId),
+      payload: { title: newTitle, content: newContent },
+    });
+    recordRevision(notes[idx], { previous: before });
+    saveNotes(notes);
+
+    closeEditModal();
+    render();
+    updateApiStatus();
+    await offerLinkRename(oldTitle, notes[idx]);
+    return;
+  }
+
   // Disable the submit button to prevent duplicate submissions.
   const submitBtn = editForm.querySelector('button[type="submit"]');
   submitBtn?.setAttribute('disabled', '');
 
   try {
-    // Send update to the backend first
-    const updated = await updateNoteViaApi(editingId, {
-      title: newTitle,
-      content: newContent,
-    });
+    // Send update to the backend first; on a conflict, merge and try again
+    // against the server version the user just merged with.
+    let fields = { title: newTitle, content: newContent };
+    let base = editingBase ?? notes[idx];
+    let updated = null;
+    for (;;) {
+      try {
+        updated = await updateNoteViaApi(id, fields, { base });
+        break;
+      } catch (err) {
+        if (!(err instanceof ConflictError) || !err.serverNote) throw err;
+
+        const merged = await mergeDialog({ mine: fields, theirs: err.serverNote });
+        if (!merged) return; // cancelled → back to the edit modal, nothing saved
+        if (noteIndex(id) < 0) {
+          // Deleted while the dialog was open (trash, another tab, a pull).
+          alert('This note was deleted in the meantime; the changes were not saved.');
+          closeEditModal();
+          render();
+          return;
+        }
+
+        fields = { title: merged.title.trim(), content: merged.content.trim() };
+        base = err.serverNote;
+        editTitle.value = fields.title;
+        editContent.value = fields.content;
+      }
+    }
 
     if (!updated) {
       // Server refused or network error → keep the modal open
@@ -883,20 +1286,28 @@ editForm.addEventListener('submit', async (e) => {
       return;
     }
 
-    // Replace local copy with the server-authoritative version
-    notes[idx] = { ...notes[idx], ...updated };
+    // Replace local copy with the server-authoritative version (looked up again:
+    // `notes` may have been replaced while the request or the dialog was open).
+    const i = noteIndex(id);
+    if (i >= 0) {
+      notes[i] = { ...notes[i], ...updated };
+      recordRevision(notes[i], { previous: base });
 
-    // Persist a local cache (useful for offline refresh)
-    saveNotes(notes);
+      // Persist a local cache (useful for offline refresh)
+      saveNotes(notes);
+    }
 
     // Close modal and refresh UI
-    editingId = null;
-    editModal.hidden = true;
-    document.body.classList.remove('no-scroll');
+    closeEditModal();
     render();
+    if (i >= 0) await offerLinkRename(oldTitle, notes[i]);
   } catch (err) {
     console.error('Edit submit failed:', err);
-    alert('Unexpected error while updating the note.');
+    if (err instanceof ConflictError) {
+      alert('The note was changed on the server and could not be merged. Please reload.');
+    } else {
+      alert('Unexpected error while updating the note.');
+    }
   } finally {
     // Re-enable the submit button regardless of outcome
     submitBtn?.removeAttribute('disabled');
@@ -918,64 +1329,97 @@ document.addEventListener('keydown', (e) => {
  * We attach one listener on the list container and react to button clicks.
  */
 listEl.addEventListener('click', async (e) => {
+  // Open tasks view / backlinks: the note title leads to the note.
+  const gotoBtn = e.target.closest('button[data-goto]');
+  if (gotoBtn) {
+    showNote(gotoBtn.dataset.goto);
+    return;
+  }
+
+  // [[Link]] in a note: open the target, or start a note with that title.
+  const linkBtn = e.target.closest('button[data-wikilink]');
+  if (linkBtn) {
+    const target = linkIndex.resolve(linkBtn.dataset.wikilink);
+    if (target) showNote(target.id);
+    else await startLinkedNote(linkBtn.dataset.wikilink);
+    return;
+  }
+
+  // Collapse/expand a group (remembered with the list view settings).
+  const groupBtn = e.target.closest('button[data-group]');
+  if (groupBtn) {
+    const key = groupBtn.dataset.group;
+    const collapsed = listView.collapsed.filter((k) => k !== key);
+    if (collapsed.length === listView.collapsed.length) collapsed.push(key);
+    updateListView({ collapsed });
+    [...listEl.querySelectorAll('button[data-group]')]
+      .find((btn) => btn.dataset.group === key)
+      ?.focus();
+    return;
+  }
+
+  // Snippet expand/collapse (a view toggle, not a note action).
+  const expandBtn = e.target.closest('button[data-expand]');
+  if (expandBtn) {
+    const id = expandBtn.dataset.expand;
+    if (!expandedIds.delete(id)) expandedIds.add(id);
+    render();
+    // Keep keyboard focus on the (re-rendered) toggle.
+    [...listEl.querySelectorAll('button[data-expand]')]
+      .find((btn) => btn.dataset.expand === id)
+      ?.focus();
+    return;
+  }
+
   // Find the nearest action button that was clicked.
   const btn = e.target.closest('button[data-action]');
   if (!btn) return;
 
   const id = btn.dataset.id; // target note id
-  const action = btn.dataset.action; // 'toggle-pin' | 'edit' | 'delete'
+  const action = btn.dataset.action; // 'toggle-pin' | 'edit' | 'history' | 'delete'
 
   if (action === 'delete') {
-    // Ask for user confirmation via modal.
-    const ok = await confirmDialog({
-      title: 'Delete note',
-      text: 'Do you really want to delete this note? This cannot be undone.',
-    });
-    if (!ok) return;
+    // Soft delete: into the Papierkorb (trash.js), with "Rückgängig" right away.
+    // The backend keeps the note until it is purged from there.
+    trashNotes([id]);
+  } else if (action === 'edit') {
+    // Open the edit modal pre-filled with the note data.
+    const n = notes.find((n) => n.id === id);
+    if (!n) return;
 
-    // Disable the clicked button to prevent double submissions.
-    btn.setAttribute('disabled', '');
-
-    try {
-      // 1) Delete on the backend first
-      const success = await deleteNoteViaApi(id);
-      if (!success) {
-        alert('Deleting the note via API failed. The item was not removed.');
-        return;
-      }
-
-      // 2) If the server deletion succeeded, update local state + cache
-      notes = notes.filter((n) => n.id !== id);
-      saveNotes(notes);
-
-      // 3) Re-render the list
-      render();
-    } catch (err) {
-      console.error('Delete failed:', err);
-      alert('Unexpected error while deleting the note.');
-    } finally {
-      // Re-enable the button no matter what
-      btn.removeAttribute('disabled');
-    }
-  } else if (action === 'edit') {
-    // Open the edit modal pre-filled with the note data.
-    const n = notes.find((n) => n.id === id);
-    if (!n) return;
-
-    editingId = id;
-    editTitle.value = n.title;
-    editContent.value = n.content;
+    editingId = id;
+    editingBase = n;
+    editTitle.value = n.title;
+    editContent.value = n.content;
 
     editModal.hidden = false;
     document.body.classList.add('no-scroll'); // prevent background scroll
 
     // Defer focus to ensure the modal is visible first.
     setTimeout(() => editTitle.focus(), 0);
+  } else if (action === 'history') {
+    await showHistory(id);
   } else if (action === 'toggle-pin') {
     // Toggle "pinned" via API first, then update local state on success.
-    const i = notes.findIndex((n) => String(n.id) === String(id));
+    const i = noteIndex(id);
     if (i < 0) return;
 
+    // Local-only / offline: flip the flag locally and queue the same full payload we would send.
+    if (handleLocally(id)) {
+      const current = notes[i];
+      notes[i] = { ...current, pinned: !current.pinned };
+      recordRevision(notes[i], { previous: current });
+      queueChange({
+        type: 'update',
+        id: String(id),
+        payload: { title: current.title, content: current.content, pinned: !current.pinned },
+      });
+      saveNotes(notes);
+      render();
+      updateApiStatus();
+      return;
+    }
+
     // Disable the clicked button to avoid rapid double-clicks.
     btn.setAttribute('disabled', '');
 
@@ -994,19 +1438,23 @@ listEl.addEventListener('click', async (e) => {
       // (Optional) Debug to verify what's sent:
       // console.log('[UI] toggle pin payload →', id, payload);
 
-      const updated = await updateNoteViaApi(id, payload);
+      const updated = await updateNoteViaApi(id, payload, { local: current });
 
       if (!updated) {
         alert('Toggling pin via API failed. Please try again.');
         return;
       }
 
-      // Merge server-authoritative result; ensure pinned reflects our intent
-      notes[i] = {
-        ...current,
+      // Merge server-authoritative result; ensure pinned reflects our intent.
+      // Look the note up again: `notes` may have been replaced during the request.
+      const j = noteIndex(id);
+      if (j < 0) return render();
+      notes[j] = {
+        ...notes[j],
         ...updated,
         pinned: typeof updated.pinned === 'boolean' ? updated.pinned : newPinned,
       };
+      recordRevision(notes[j], { previous: current });
 
       saveNotes(notes);
       render();
@@ -1022,30 +1470,18 @@ listEl.addEventListener('click', async (e) => {
 /**
  * Close the edit modal without saving (Cancel button).
  */
-editCancel.addEventListener('click', () => {
-  editingId = null;
-  editModal.hidden = true;
-  document.body.classList.remove('no-scroll');
-});
+editCancel.addEventListener('click', closeEditModal);
 
 /**
  * Close the edit modal when clicking on the backdrop.
  */
-editBackdrop?.addEventListener('click', () => {
-  editingId = null;
-  editModal.hidden = true;
-  document.body.classList.remove('no-scroll');
-});
+editBackdrop?.addEventListener('click', closeEditModal);
 
 /**
  * Close the edit modal on ESC key (only if modal is currently open).
  */
 document.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape' && !editModal.hidden) {
-    editingId = null;
-    editModal.hidden = true;
-    document.body.classList.remove('no-scroll');
-  }
+  if (e.key === 'Escape' && !editModal.hidden) closeEditModal();
 });
 
 /**
@@ -1056,17 +1492,309 @@ document.addEventListener('visibilitychange', () => {
   if (!document.hidden) refreshTimes();
 });
 
+// ===== Search state: URL + history =====
+// The query lives in the URL fragment (urlstate.js), so a reload, a bookmark or a
+// shared link opens the same view. Typing only updates the current history entry;
+// once the user pauses (or presses Enter), the query counts as "settled": it goes
+// into the recent searches, and the next change starts a new history entry. So
+// Back/Forward step through searches, not keystrokes.
+
+/** Idle time after the last keystroke until a query is settled. */
+const SEARCH_SETTLE_MS = 1000;
+let searchSettled = true;
+let settleTimer = null;
+
+/**
+ * The view state for the URL: the query plus sort/grouping and the tasks view
+ * unless they are the defaults (keeps the plain list's URL clean).
+ * @param {string} q - trimmed query
+ * @returns {import('./urlstate.js').ViewState}
+ */
+function currentViewState(q) {
+  return {
+    q,
+    sort: listView.sort === DEFAULT_VIEW.sort ? '' : listView.sort,
+    group: listView.group === DEFAULT_VIEW.group ? '' : listView.group,
+    view: activeView,
+  };
+}
+
+/** Finish the current query: remember it (if valid) and start a new entry next time. */
+function settleSearch() {
+  clearTimeout(settleTimer);
+  searchSettled = true;
+  const q = searchEl.value.trim();
+  if (q && parseSearch(q).errors.length === 0) rememberSearch(q);
+}
+
+/**
+ * Show a query in the search box, re-render and record it in the URL.
+ * @param {string} q
+ * @param {{ settle?: boolean }} [options] - settle: picked as a whole (saved/recent
+ *   search) rather than typed, so it gets its own history entry right away
+ */
+function applySearch(q, { settle = false } = {}) {
+  searchEl.value = q;
+  expandedIds.clear(); // a new query collapses expanded snippets again
+  render();
+
+  writeViewState(currentViewState(q.trim()), { push: searchSettled || settle });
+  if (settle) {
+    settleSearch();
+  } else {
+    searchSettled = false;
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(settleSearch, SEARCH_SETTLE_MS);
+  }
+}
+
 /**
  * Live-search: re-render notes on every input change.
  * NOTE: Debounce could be added for extremely large lists,
  * but it's not necessary at this scale.
  */
-searchEl.addEventListener('input', render);
+searchEl.addEventListener('input', () => applySearch(searchEl.value));
+
+// #tag suggestions in the search box; attached before the recent searches so its
+// popup wins while a tag is being typed.
+const searchTagSuggest = attachTagAutocomplete(searchEl, { getNotes: () => notes });
+
+// Recent searches dropdown under the search box.
+initRecentSearches(searchEl, document.getElementById('recent-searches'), {
+  onSelect: (q) => applySearch(q, { settle: true }),
+  isBusy: searchTagSuggest.isOpen,
+});
+
+// Enter settles the typed query (unless it just picked a recent search).
+searchEl.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && !e.defaultPrevented) settleSearch();
+});
+
+// Back/Forward (or an edited URL): show the query of that history entry.
+window.addEventListener('popstate', () => {
+  const { q } = readViewState();
+  settleSearch();
+  listView = resolveListView();
+  activeView = resolveView();
+  showListView();
+  if (q !== searchEl.value.trim()) {
+    searchEl.value = q;
+    expandedIds.clear();
+  }
+  render();
+});
+
+// Start with the query from the URL (the first render happens after hydration).
+searchEl.value = readViewState().q;
+
+// ===== Sorting / grouping =====
+// Two selects above the list (listview.js). The choice is stored for this browser
+// and mirrored into the URL next to the query.
+
+/** Show the current list view in the selects. */
+function showListView() {
+  if (sortSelect) sortSelect.value = listView.sort;
+  if (groupSelect) groupSelect.value = listView.group;
+}
+
+/**
+ * Change (and store) the list view, re-render and update the URL.
+ * @param {Partial<import('./listview.js').ListView>} changes
+ */
+function updateListView(changes) {
+  listView = { ...listView, ...changes };
+  saveListView(listView);
+  render();
+  writeViewState(currentViewState(searchEl.value.trim()));
+}
+
+showListView();
+sortSelect?.addEventListener('change', () => updateListView({ sort: sortSelect.value }));
+groupSelect?.addEventListener('change', () => updateListView({ group: groupSelect.value }));
+
+// ===== Checklists / open tasks =====
+// "- [ ] item" lines are rendered as checkboxes (markdown.js); ticking one rewrites
+// that line (tasks.js) and saves the note like an edit. The "Offene Aufgaben"
+// view lists the unchecked items of all notes matching the search.
+
+/**
+ * Check/uncheck a task of a note and save the note.
+ * @param {string} id - note id
+ * @param {number} index - task position in the note (tasks.js)
+ * @param {boolean} checked
+ */
+async function setTaskChecked(id, index, checked) {
+  const i = noteIndex(id);
+  if (i < 0) return;
+  const current = notes[i];
+  const content = toggleTask(current.content, index, checked);
+  if (content === current.content) return render();
+
+  // Local-only / offline: change it locally and queue the update.
+  if (handleLocally(id)) {
+    notes[i] = { ...current, content, updatedAt: now() };
+    queueChange({
+      type: 'update',
+      id: String(id),
+      payload: { title: current.title, content, pinned: current.pinned },
+    });
+    recordRevision(notes[i], { previous: current });
+    saveNotes(notes);
+    render();
+    updateApiStatus();
+    return;
+  }
+
+  try {
+    let updated;
+    let base = current;
+    try {
+      updated = await updateNoteViaApi(id, { title: current.title, content }, { base: current });
+    } catch (err) {
+      if (!(err instanceof ConflictError) || !err.serverNote) throw err;
+      // Changed elsewhere: tick the same item in the server's version if it is
+      // still there (same text at the same position), otherwise show that version.
+      const server = err.serverNote;
+      const mine = findTasks(current.content)[index];
+      const theirs = findTasks(server.content)[index];
+      if (!theirs || theirs.text !== mine?.text) {
+        const j = noteIndex(id);
+        if (j >= 0) notes[j] = { ...notes[j], ...server };
+        saveNotes(notes);
+        render();
+        alert('This note was changed elsewhere. Its checklist now shows the latest version.');
+        return;
+      }
+      const merged = toggleTask(server.content, index, checked);
+      base = server;
+      updated = await updateNoteViaApi(
+        id,
+        { title: server.title, content: merged },
+        { base: server }
+      );
+    }
+
+    if (!updated) {
+      alert('Saving the checklist via API failed. Please try again.');
+      render(); // reset the checkbox
+      return;
+    }
+    // Look the note up again: `notes` may have been replaced during the request.
+    const j = noteIndex(id);
+    if (j < 0) return render();
+    notes[j] = { ...notes[j], ...updated };
+    recordRevision(notes[j], { previous: base });
+    saveNotes(notes);
+    render();
+  } catch (err) {
+    console.error('Task toggle failed:', err);
+    alert('Unexpected error while saving the checklist.');
+    render();
+  }
+}
+
+/**
+ * Switch between the notes, the open tasks and the trash (new history entry).
+ * @param {''|'tasks'|'trash'} view
+ */
+function setView(view) {
+  if (activeView === view) return;
+  activeView = view;
+  render();
+  writeViewState(currentViewState(searchEl.value.trim()), { push: true });
+}
+
+/**
+ * Back to the notes list and bring a note into view (expands its group if
+ * that is collapsed, clears a search that hides the note).
+ * @param {string} id
+ */
+function showNote(id) {
+  const note = notes.find((n) => String(n.id) === String(id));
+  if (!note) return;
+  setView('');
+  const [group] = groupNotes([note], listView.group, { tagsOf: searchIndex.tagsOf });
+  if (listView.collapsed.includes(group.key)) {
+    updateListView({ collapsed: listView.collapsed.filter((k) => k !== group.key) });
+  }
+
+  const findLi = () =>
+    [...listEl.querySelectorAll('li.note[data-id]')].find((el) => el.dataset.id === String(id));
+  let li = findLi();
+  if (!li && searchEl.value.trim()) {
+    // Filtered out by the current search (e.g. a [[link]] target): clear it.
+    applySearch('', { settle: true });
+    li = findLi();
+  }
+  if (!li) return;
+  li.scrollIntoView({ block: 'center' });
+  li.tabIndex = -1;
+  li.focus({ preventScroll: true });
+  li.classList.add('flash');
+  li.addEventListener('animationend', () => li.classList.remove('flash'), { once: true });
+}
+
+/**
+ * A [[link]] to a note that doesn't exist yet: prefill the "Neue Notiz" form
+ * with its title (asks first if the form already holds another title).
+ * @param {string} title - link target as written
+ * @returns {Promise<void>}
+ */
+async function startLinkedNote(title) {
+  const current = titleEl.value.trim();
+  if (current && normalizeTitle(current) !== normalizeTitle(title)) {
+    const ok = await confirmDialog({
+      title: 'Create linked note',
+      text: `Replace the title "${current}" in the new-note form with "${title}"?`,
+      okText: 'Ersetzen',
+    });
+    if (!ok) return;
+  }
+  titleEl.value = title;
+  form.scrollIntoView({ block: 'nearest' });
+  contentEl.focus();
+}
+
+/**
+ * After a note got a new title: offer to point the [[links]] to its old title
+ * at the new one (wikilinks.js), saved like the tag panel's bulk edits.
+ * @param {string} oldTitle
+ * @param {Note} note - the saved note
+ * @returns {Promise<void>}
+ */
+async function offerLinkRename(oldTitle, note) {
+  if (normalizeTitle(oldTitle) === normalizeTitle(note.title)) return;
+  if (!isLinkableTitle(note.title)) return;
+  const changes = planLinkRename(notes, oldTitle, note);
+  if (changes.length === 0) return;
+
+  const titles = changes.slice(0, 8).map((c) => `• ${c.note.title || '(untitled)'}`);
+  if (changes.length > 8) titles.push(`… and ${changes.length - 8} more`);
+  const ok = await confirmDialog({
+    title: 'Update links',
+    text: `${changes.length} note(s) link to [[${oldTitle}]]. Point them to [[${note.title}]]?\n\n${titles.join('\n')}`,
+    okText: 'Links anpassen',
+  });
+  if (ok) await applyNoteChanges(changes);
+}
+
+viewNotesBtn?.addEventListener('click', () => setView(''));
+viewTasksBtn?.addEventListener('click', () => setView('tasks'));
+viewTrashBtn?.addEventListener('click', () => setView('trash'));
+
+// Checkbox in a note card or in the open tasks view.
+listEl.addEventListener('change', (e) => {
+  const box = e.target.closest('input[data-task]');
+  const id = box?.closest('li[data-id]')?.dataset.id;
+  if (!id) return;
+  box.disabled = true; // until the re-render after saving
+  setTaskChecked(id, Number(box.dataset.task), box.checked);
+});
 
 // Export current notes as JSON
 exportBtn?.addEventListener('click', () => {
   // NOTE: Uses a minimal schema check; invalid items are dropped.
-  exportNotes(notes);
+  exportNotes(notes, savedSearches);
 });
 
 // Open file picker for import
@@ -1079,7 +1807,7 @@ importInput?.addEventListener('change', async () => {
   const file = importInput.files?.[0];
   if (!file) return;
 
-  const { notes: incoming, error } = await parseImportedFile(file);
+  const { notes: incoming, savedSearches: incomingSearches, error } = await parseImportedFile(file);
   importInput.value = ''; // reset the file input for subsequent imports
 
   if (error) {
@@ -1087,63 +1815,672 @@ importInput?.addEventListener('change', async () => {
     return;
   }
 
-  // Ask the user whether to REPLACE everything or MERGE
-  const replace = await confirmDialog({
-    title: 'Import notes',
-    text: `Found ${incoming.length} note(s) in the file.\n\nOK = Replace all existing notes\nCancel = Merge with existing notes`,
+  // Ask the user whether to REPLACE everything or MERGE (a file with saved searches
+  // only is always merged, so it can't wipe the notes).
+  let replace = false;
+  if (incoming.length > 0) {
+    const searchInfo = incomingSearches?.length
+      ? ` and ${incomingSearches.length} saved search(es)`
+      : '';
+    replace = await confirmDialog({
+      title: 'Import notes',
+      text: `Found ${incoming.length} note(s)${searchInfo} in the file.\n\nOK = Replace all existing notes\nCancel = Merge with existing notes`,
+    });
+    notes = replace ? incoming : mergeNotes(notes, incoming);
+    // Imported notes are back in the list: a trashed copy must not purge them later.
+    takeFromTrash(incoming.map((n) => n.id));
+    saveNotes(notes);
+  }
+
+  // Older backups have no saved searches: keep the current ones then.
+  if (incomingSearches) {
+    savedSearches = replace
+      ? incomingSearches
+      : mergeSavedSearches(savedSearches, incomingSearches);
+    saveSavedSearches(savedSearches);
+  }
+  render();
+});
+
+// ===== Saved searches =====
+// Sidebar list of named queries (savedsearches.js). Clicking one runs it in the
+// search box; the small buttons move, rename or delete it.
+
+/**
+ * Replace the saved searches, persist them and re-render.
+ * @param {import('./savedsearches.js').SavedSearch[]} list
+ */
+function updateSavedSearches(list) {
+  savedSearches = list;
+  saveSavedSearches(list);
+  render();
+}
+
+// Save the current search box query under a name.
+saveSearchBtn?.addEventListener('click', () => {
+  const q = searchEl.value.trim();
+  if (!q) return;
+  if (parseSearch(q).errors.length) {
+    alert('Please fix the search first (see the message below the search box).');
+    return;
+  }
+  const existing = savedSearches.find((s) => s.query === q);
+  if (existing) {
+    alert(`This search is already saved as "${existing.name}".`);
+    return;
+  }
+  const name = prompt('Name for this search:', q)?.trim();
+  if (!name) return;
+  updateSavedSearches([...savedSearches, createSavedSearch(name, q)]);
+});
+
+savedListEl?.addEventListener('click', async (e) => {
+  const btn = e.target.closest('button[data-saved]');
+  if (!btn) return;
+  const index = savedSearches.findIndex((s) => s.id === btn.dataset.id);
+  if (index < 0) return;
+  const entry = savedSearches[index];
+  const action = btn.dataset.saved; // 'open' | 'up' | 'down' | 'rename' | 'delete'
+
+  if (action === 'open') {
+    applySearch(entry.query, { settle: true });
+  } else if (action === 'up' || action === 'down') {
+    const target = index + (action === 'up' ? -1 : 1);
+    if (target < 0 || target >= savedSearches.length) return;
+    const list = [...savedSearches];
+    [list[index], list[target]] = [list[target], list[index]];
+    updateSavedSearches(list);
+    // Keep keyboard focus on the moved entry's button.
+    savedListEl.querySelectorAll(`button[data-saved="${action}"]`)[target]?.focus();
+  } else if (action === 'rename') {
+    const name = prompt('Rename saved search:', entry.name)?.trim();
+    if (!name || name === entry.name) return;
+    updateSavedSearches(savedSearches.map((s) => (s === entry ? { ...s, name } : s)));
+  } else if (action === 'delete') {
+    const ok = await confirmDialog({
+      title: 'Delete saved search',
+      text: `Delete "${entry.name}"? Your notes are not affected.`,
+    });
+    if (ok) updateSavedSearches(savedSearches.filter((s) => s !== entry));
+  }
+});
+
+// Another tab changed the saved searches.
+subscribeSavedSearches((list) => {
+  savedSearches = list;
+  render();
+});
+
+// ===== Revision history =====
+// Every save records a revision (history.js). "History" shows them with a line
+// diff (dialogs.js → historyDialog()); restoring saves the old revision as a new
+// version, so the restore itself can be undone the same way.
+
+/**
+ * Open the history of a note; restore the revision the user picks.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function showHistory(id) {
+  const note = notes.find((n) => String(n.id) === String(id));
+  if (!note) return;
+
+  const revision = await historyDialog({
+    title: note.title,
+    revisions: listRevisions(note),
+    limit: loadHistoryLimit(),
+    limits: HISTORY_LIMITS,
+    onLimitChange: (limit) => {
+      saveHistoryLimit(limit);
+      return listRevisions(notes.find((n) => String(n.id) === String(id)) ?? note);
+    },
+  });
+  if (revision) await restoreRevision(id, revision);
+}
+
+/**
+ * Save an old revision as the new version of a note (API, or locally + outbox).
+ * If the note was changed elsewhere meanwhile, nothing is overwritten: the newer
+ * version is shown and the restore can be repeated from the history.
+ *
+ * @param {string} id
+ * @param {import('./history.js').Revision} revision
+ * @returns {Promise<void>}
+ */
+async function restoreRevision(id, revision) {
+  const i = noteIndex(id);
+  if (i < 0) return;
+  const current = notes[i];
+  const fields = { title: revision.title, content: revision.content, pinned: revision.pinned };
+
+  if (handleLocally(id)) {
+    notes[i] = { ...current, ...fields, updatedAt: now() };
+    queueChange({ type: 'update', id: String(id), payload: fields });
+    recordRevision(notes[i], { previous: current });
+    saveNotes(notes);
+    render();
+    updateApiStatus();
+    return;
+  }
+
+  try {
+    const updated = await updateNoteViaApi(id, fields, { base: current });
+    if (!updated) {
+      alert('Restoring the revision via API failed. Please try again.');
+      return;
+    }
+    // Look the note up again: `notes` may have been replaced during the request.
+    const j = noteIndex(id);
+    if (j < 0) return render();
+    notes[j] = {
+      ...notes[j],
+      ...updated,
+      pinned: typeof updated.pinned === 'boolean' ? updated.pinned : fields.pinned,
+    };
+    recordRevision(notes[j], { previous: current });
+    saveNotes(notes);
+    render();
+  } catch (err) {
+    console.error('Restore failed:', err);
+    if (err instanceof ConflictError && err.serverNote) {
+      const j = noteIndex(id);
+      if (j >= 0) notes[j] = { ...notes[j], ...err.serverNote };
+      saveNotes(notes);
+      render();
+      alert(
+        'This note was changed elsewhere and now shows the latest version. Open its history to restore again.'
+      );
+    } else {
+      alert('Unexpected error while restoring the revision.');
+    }
+  }
+}
+
+// ===== Papierkorb (trash) =====
+// "Delete" moves notes into the trash (trash.js). They come back via the undo
+// toast or the trash view; purging (by hand, or automatically after the chosen
+// number of days) is the only step that deletes them on the backend.
+
+/** Hides the undo toast again. */
+let undoTimer = null;
+/** How long "Rückgängig" stays available after deleting. */
+const UNDO_MS = 8000;
+
+/**
+ * Move notes from the list into the trash and offer to undo that.
+ * @param {string[]} ids
+ */
+function trashNotes(ids) {
+  const wanted = new Set(ids.map(String));
+  const trashed = notes.filter((n) => wanted.has(String(n.id)));
+  if (trashed.length === 0) return;
+  try {
+    moveToTrash(trashed);
+  } catch (err) {
+    // E.g. the storage quota is full: keep the notes rather than lose them.
+    console.error('Moving notes to the trash failed:', err);
+    alert('The note could not be moved to the trash (storage full?). It was not deleted.');
+    return;
+  }
+  notes = notes.filter((n) => !wanted.has(String(n.id)));
+  saveNotes(notes);
+  render();
+  showUndo(trashed);
+}
+
+/**
+ * Put notes from the trash back into the list.
+ * @param {Iterable<string>} ids
+ */
+function restoreNotes(ids) {
+  const restored = takeFromTrash(ids);
+  if (restored.length === 0) return;
+  const back = new Set(restored.map((n) => String(n.id)));
+  back.forEach((id) => trashSelection.delete(id));
+  notes = [...restored, ...notes.filter((n) => !back.has(String(n.id)))];
+  saveNotes(notes);
+  render();
+  refreshRestored(back);
+}
+
+/**
+ * Fetch restored notes from the backend: pulls skip trashed ids (sync.js) and
+ * the sync cursor has moved past any change made to them elsewhere meanwhile,
+ * so the trashed copy may be stale. Newer server versions replace it.
+ * @param {Iterable<string>} ids
+ */
+async function refreshRestored(ids) {
+  let changed = false;
+  for (const id of ids) {
+    if (handleLocally(id)) continue; // unsynced local changes; the outbox sends them
+    const server = await api.getNote(id).catch(() => null);
+    const i = noteIndex(id);
+    // Re-check: the note may have been edited or trashed again while waiting.
+    if (!server || i === -1 || handleLocally(id)) continue;
+    if (server.updatedAt > notes[i].updatedAt) {
+      notes[i] = server;
+      changed = true;
+    }
+  }
+  if (changed) {
+    saveNotes(notes);
+    render();
+  }
+}
+
+/**
+ * Delete notes from the trash for good: on the backend (or queued in the outbox
+ * where changes are queued anyway) and locally, including their history.
+ * Notes the API could not delete stay in the trash for the next attempt.
+ *
+ * @param {string[]} ids
+ * @returns {Promise<number>} how many could not be deleted
+ */
+async function purgeNotes(ids) {
+  let failed = 0;
+  for (const id of ids) {
+    if (handleLocally(id)) {
+      queueChange({ type: 'delete', id: String(id) });
+    } else if (!(await deleteNoteViaApi(id))) {
+      failed++;
+      continue;
+    }
+    takeFromTrash([id]);
+    trashSelection.delete(String(id));
+    dropRevisions(id);
+  }
+  render();
+  updateApiStatus();
+  return failed;
+}
+
+/** Purge the notes whose time in the trash is up (on start, then hourly). */
+async function purgeExpired() {
+  const expired = expiredEntries(loadTrash(), loadTrashDays());
+  if (expired.length === 0) return;
+  const failed = await purgeNotes(expired.map((e) => String(e.note.id)));
+  console.info(`[Trash] Purged ${expired.length - failed} note(s), ${failed} left for later.`);
+}
+
+/**
+ * A shorter retention purges the notes that are already past it right away, on
+ * the backend too: ask first, with how many that are.
+ * @param {number} days - the new retention
+ * @returns {Promise<boolean>} whether to apply it
+ */
+async function confirmTrashDays(days) {
+  const count = expiredEntries(loadTrash(), days).length;
+  if (count === 0) return true;
+  return confirmDialog({
+    title: 'Shorten retention',
+    text: `${count} note(s) have been in the trash for more than ${days} days and will be deleted for good now. This cannot be undone.`,
+    okText: 'Löschen',
   });
+}
 
-  notes = replace ? incoming : mergeNotes(notes, incoming);
+/**
+ * Show the "moved to the trash" toast with its undo button for a few seconds.
+ * @param {Note[]} trashed
+ */
+function showUndo(trashed) {
+  if (!undoToast) return;
+  const [first] = trashed;
+  undoToast.querySelector('[data-undo-text]').textContent =
+    trashed.length === 1
+      ? `„${first.title || '(ohne Titel)'}“ ist im Papierkorb.`
+      : `${trashed.length} Notizen sind im Papierkorb.`;
+  undoToast.dataset.ids = JSON.stringify(trashed.map((n) => String(n.id)));
+  undoToast.hidden = false;
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(() => (undoToast.hidden = true), UNDO_MS);
+}
+
+undoToast?.querySelector('[data-undo]')?.addEventListener('click', () => {
+  clearTimeout(undoTimer);
+  undoToast.hidden = true;
+  restoreNotes(JSON.parse(undoToast.dataset.ids ?? '[]'));
+});
+
+/** Render the trash view: a toolbar (bulk actions, retention) and the deleted notes. */
+function renderTrash() {
+  const entries = loadTrash();
+  const days = loadTrashDays();
+  const ids = new Set(entries.map((e) => String(e.note.id)));
+  for (const id of trashSelection) if (!ids.has(id)) trashSelection.delete(id);
+
+  const bar = document.createElement('li');
+  bar.className = 'trash-bar';
+  const selected = trashSelection.size;
+  bar.innerHTML = `
+  ${
+    entries.length
+      ? `<label><input type="checkbox" data-trash-all${selected === entries.length ? ' checked' : ''}> Alle auswählen</label>
+  <button type="button" data-trash-action="restore"${selected ? '' : ' disabled'}>Wiederherstellen${selected ? ` (${selected})` : ''}</button>
+  <button type="button" data-trash-action="purge"${selected ? '' : ' disabled'}>Endgültig löschen${selected ? ` (${selected})` : ''}</button>`
+      : ''
+  }
+  <label class="trash-days">Automatisch löschen nach
+    <select data-trash-days>
+      ${TRASH_DAYS.map((d) => `<option value="${d}"${d === days ? ' selected' : ''}>${d}</option>`).join('')}
+    </select>
+    Tagen
+  </label>`;
+  listEl.appendChild(bar);
+
+  if (entries.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'note empty';
+    li.innerHTML = `<p>Der Papierkorb ist leer.</p>`;
+    listEl.appendChild(li);
+    return;
+  }
+
+  for (const entry of entries) {
+    const { note } = entry;
+    const id = String(note.id);
+    const li = document.createElement('li');
+    li.className = 'note trashed';
+    li.dataset.id = id;
+    const purgeOn = new Date(purgeDate(entry, days)).toLocaleDateString('de-DE');
+    li.innerHTML = `
+  <label class="trash-select">
+    <input type="checkbox" data-trash-select="${escapeHtml(id)}"${trashSelection.has(id) ? ' checked' : ''}>
+    <span class="visually-hidden">Auswählen</span>
+  </label>
+  <h3>${escapeHtml(note.title || '(ohne Titel)')}</h3>
+  <p class="trash-preview">${escapeHtml(note.content)}</p>
+  <small class="trash-deleted" title="${new Date(entry.deletedAt).toLocaleString()}">
+    Gelöscht: ${timeAgo(entry.deletedAt)}
+  </small>
+  <small class="trash-purge">Wird am ${purgeOn} endgültig gelöscht</small>
+  <div class="actions">
+    <button data-trash-action="restore" data-id="${escapeHtml(id)}">Restore</button>
+    <button data-trash-action="purge" data-id="${escapeHtml(id)}">Delete forever</button>
+  </div>
+`;
+    listEl.appendChild(li);
+  }
+}
+
+listEl.addEventListener('click', async (e) => {
+  const btn = e.target.closest('button[data-trash-action]');
+  if (!btn) return;
+  const ids = btn.dataset.id ? [btn.dataset.id] : [...trashSelection];
+  if (ids.length === 0) return;
+
+  if (btn.dataset.trashAction === 'restore') {
+    restoreNotes(ids);
+    return;
+  }
+
+  const ok = await confirmDialog({
+    title: 'Delete for good',
+    text: `Permanently delete ${ids.length} note(s) from the trash? This cannot be undone.`,
+  });
+  if (!ok) return;
+  btn.disabled = true;
+  const failed = await purgeNotes(ids);
+  if (failed > 0) {
+    alert(
+      `${failed} note(s) could not be deleted via API. They stay in the trash; please try again.`
+    );
+  }
+});
+
+listEl.addEventListener('change', async (e) => {
+  if (e.target.matches('input[data-trash-select]')) {
+    const id = e.target.dataset.trashSelect;
+    if (e.target.checked) trashSelection.add(id);
+    else trashSelection.delete(id);
+  } else if (e.target.matches('input[data-trash-all]')) {
+    trashSelection.clear();
+    if (e.target.checked) loadTrash().forEach((entry) => trashSelection.add(String(entry.note.id)));
+  } else if (e.target.matches('select[data-trash-days]')) {
+    const days = Number(e.target.value);
+    if (!(await confirmTrashDays(days))) {
+      e.target.value = String(loadTrashDays());
+      return;
+    }
+    saveTrashDays(days);
+    purgeExpired();
+  } else {
+    return;
+  }
+  render();
+  // Keep keyboard focus on the control after the re-render.
+  const selector = e.target.dataset.trashSelect
+    ? `input[data-trash-select="${CSS.escape(e.target.dataset.trashSelect)}"]`
+    : e.target.matches('[data-trash-all]')
+      ? 'input[data-trash-all]'
+      : 'select[data-trash-days]';
+  listEl.querySelector(selector)?.focus();
+});
+
+// ===== Tag panel =====
+// Lists all tags (renderTagList()). A click filters by the tag; rename/merge and
+// remove rewrite the "#tag" text in every affected note (tags.js) after a preview,
+// and save those notes like regular edits.
+
+/**
+ * Save notes changed in bulk (tag rename/merge/removal, [[link]] updates): via
+ * the API (a note that was changed elsewhere meanwhile is skipped, not merged),
+ * or locally + outbox where edits are queued anyway (see handleLocally()).
+ *
+ * @param {import('./tags.js').TagChange[]} changes
+ * @returns {Promise<void>}
+ */
+async function applyNoteChanges(changes) {
+  let failed = 0;
+  for (const { note, title, content } of changes) {
+    const i = noteIndex(note.id);
+    if (i < 0) continue;
+
+    if (handleLocally(note.id)) {
+      const before = notes[i];
+      notes[i] = { ...before, title, content, updatedAt: now() };
+      queueChange({ type: 'update', id: String(note.id), payload: { title, content } });
+      recordRevision(notes[i], { previous: before });
+      continue;
+    }
+
+    try {
+      const updated = await updateNoteViaApi(note.id, { title, content }, { base: note });
+      // Look the note up again: `notes` may have been replaced during the request.
+      const j = noteIndex(note.id);
+      if (updated && j >= 0) {
+        notes[j] = { ...notes[j], ...updated };
+        recordRevision(notes[j], { previous: note });
+      } else if (!updated) {
+        failed++;
+      }
+    } catch (err) {
+      console.warn('Bulk change skipped for a note changed elsewhere:', note.id, err);
+      failed++;
+    }
+  }
 
   saveNotes(notes);
   render();
+  updateApiStatus();
+  if (failed > 0) {
+    alert(
+      `${failed} note(s) could not be updated (changed elsewhere or API error). Please check them and try again.`
+    );
+  }
+}
+
+tagListEl?.addEventListener('click', async (e) => {
+  const btn = e.target.closest('button[data-tag-action]');
+  if (!btn) return;
+  const tag = btn.dataset.tag;
+  const action = btn.dataset.tagAction; // 'filter' | 'rename' | 'delete'
+
+  if (action === 'filter') {
+    // Clicking the active tag again clears the filter.
+    const q = searchEl.value.trim().toLowerCase() === `#${tag}` ? '' : `#${tag}`;
+    applySearch(q, { settle: true });
+    return;
+  }
+
+  let to = null; // null = remove
+  if (action === 'rename') {
+    const input = prompt(`Rename #${tag} to (an existing tag merges both):`, tag);
+    if (input === null) return;
+    to = parseTagInput(input);
+    if (!to) {
+      alert(`"${input}" is not a valid tag (letters, digits, _ and -; levels separated by /).`);
+      return;
+    }
+    if (to === tag) return;
+  }
+
+  // Preview: which notes change (nested tags come along, see tags.js).
+  const changes = planTagChange(notes, tag, to);
+  if (changes.length === 0) return;
+  const known = searchIndex.tagCounts().map((c) => c.tag);
+  const nested = known.some((t) => t.startsWith(tag + '/'))
+    ? `\nNested tags (#${tag}/…) are changed as well.`
+    : '';
+  // Removing the tag would leave these titles empty (see planTagChange()).
+  const kept = changes.filter((c) => c.keptTitle).length;
+  const keptInfo = kept ? `\n${kept} title(s) contain only the tag and are kept as they are.` : '';
+  const titles = changes.slice(0, 8).map((c) => `• ${c.note.title || '(untitled)'}`);
+  if (changes.length > 8) titles.push(`… and ${changes.length - 8} more`);
+
+  const merge = to !== null && known.includes(to);
+  const [title, summary, okText] =
+    to === null
+      ? ['Remove tag', `Remove #${tag} from`, 'Entfernen']
+      : merge
+        ? ['Merge tags', `Merge #${tag} into #${to} in`, 'Zusammenführen']
+        : ['Rename tag', `Rename #${tag} to #${to} in`, 'Umbenennen'];
+  const ok = await confirmDialog({
+    title,
+    text: `${summary} ${changes.length} note(s)?${nested}${keptInfo}\n\n${titles.join('\n')}`,
+    okText,
+  });
+  if (ok) await applyNoteChanges(changes);
+});
+
+// ===== Quarantine notice =====
+// Records that failed migration/validation on load (see storage.js) are kept aside.
+// A toolbar button appears while there are any; it offers a JSON download (fix the
+// records in the file, then use Import) and afterwards to clear the quarantine.
+const quarantineBtn = document.createElement('button');
+quarantineBtn.id = 'quarantine-btn';
+quarantineBtn.type = 'button';
+quarantineBtn.hidden = true;
+quarantineBtn.title = 'Some stored notes could not be loaded';
+importBtn?.parentElement?.insertBefore(quarantineBtn, importBtn.nextSibling);
+
+/** Show/hide the quarantine button with the current count. */
+function updateQuarantineNotice() {
+  const count = listQuarantine().length;
+  quarantineBtn.hidden = count === 0;
+  quarantineBtn.textContent = `⚠ ${count} unreadable`;
+}
+
+quarantineBtn.addEventListener('click', async () => {
+  const entries = listQuarantine();
+  if (entries.length === 0) return updateQuarantineNotice();
+
+  const download = await confirmDialog({
+    title: 'Unreadable notes',
+    text: `${entries.length} stored record(s) could not be loaded and were set aside.\n\nOK = Download them as JSON (fix and re-import)\nCancel = Keep them for later`,
+    okText: 'Herunterladen',
+  });
+  if (!download) return;
+  exportQuarantine(entries);
+
+  const clear = await confirmDialog({
+    title: 'Clear quarantine?',
+    text: 'Remove the set-aside records from this browser? Keep the downloaded file.',
+  });
+  if (clear) clearQuarantine();
+  updateQuarantineNotice();
 });
 
+notesReady.then(updateQuarantineNotice);
+
 /**
  * Keyboard shortcut: Ctrl/Cmd + Shift + R → force refresh from API.
  * We pick this combo to avoid clashing with the browser's normal Reload.
  */
 document.addEventListener('keydown', async (e) => {
   const isCtrlOrCmd = e.ctrlKey || e.metaKey;
-  if (isCtrlOrCmd && e.shiftKey && (e.key === 'R' || e.key === 'r')) {
+  if (isCtrlOrCmd && e.shiftKey && (e.key === 'R' || e.key === 'r') && !localOnly) {
     e.preventDefault(); // prevent browser default if any
     await refreshFromApi();
   }
 });
 
+// ===== Cross-tab sync =====
+// Other open tabs announce what they persisted (see tabsync.js). We merge it with
+// the same rule as an import (newer `updatedAt` wins, see mergeNotes()), so neither
+// tab overwrites the other's changes with a stale copy.
+
+/**
+ * Apply notes/deletions persisted by another tab and re-render.
+ * An open edit modal for a note deleted elsewhere is closed with a notice.
+ *
+ * @param {import('./tabsync.js').TabChanges} changes
+ */
+async function applyTabChanges(changes) {
+  await notesReady;
+
+  const deleted = new Set(changes.delete.map(String));
+  const merged = mergeNotes(
+    notes.filter((n) => !deleted.has(String(n.id))),
+    changes.put
+  );
+  // Only what we actually took over is already stored; our newer copies are not.
+  const kept = new Set(merged);
+  markPersisted({ put: changes.put.filter((n) => kept.has(n)), delete: changes.delete });
+  // A new array: saves still waiting for the API find their note by id again
+  // (noteIndex()), so they never write into the position of another note.
+  notes = merged;
+
+  const editedWasDeleted = editingId !== null && deleted.has(String(editingId));
+  if (editedWasDeleted) closeEditModal();
+
+  render();
+  updateApiStatus(); // the outbox is shared, so the pending count may have changed
+  if (editedWasDeleted) alert('The note you were editing was deleted in another tab.');
+}
+
+subscribeChanges(applyTabChanges);
+
 // ---- Init ----
 /**
  * Hydrate notes on startup:
- * - Try to load from the backend API.
- * - If API returns items, use them and cache to localStorage (offline-friendly).
- * - If API fails or is empty, keep whatever we already loaded from localStorage.
+ * - Start from the local cache (see `notesReady` above); local-only mode stops here.
+ * - Pull only what changed on the backend since the last sync (full list on first run).
+ * - If the API fails or is empty, keep whatever we already loaded from the local store.
  * - Always render at the end so the UI shows something quickly.
  */
 async function hydrateNotes() {
+  await notesReady;
   try {
-    showLoading('Loading from API…'); // visual hint while first load runs
-    const apiNotes = await loadNotesFromApi();
+    if (localOnly) return; // the local store is all there is (finally still renders)
 
-    // If the API has data, prefer it over local cache.
-    if (Array.isArray(apiNotes) && apiNotes.length > 0) {
-      notes = apiNotes;
+    showLoading('Loading from API…'); // visual hint while first load runs
 
-      // Optional: keep a local cache so a page refresh still shows content offline.
-      saveNotes(notes);
-    } else {
-      // API returned empty array → keep local notes (already loaded above).
-      // This avoids wiping user content if the backend DB happens to be empty.
-      console.info('API empty; using localStorage notes.');
-    }
+    // keepOnEmpty: avoid wiping user content if the backend DB happens to be empty.
+    const changed = await pullFromApi({ keepOnEmpty: true });
+    console.info(`[Sync] ${changed} change(s) from API.`);
   } catch (e) {
     // Network/CORS/parse issues → fail gracefully and keep local notes.
-    console.warn('API unavailable; falling back to localStorage. Reason:', e);
+    console.warn('API unavailable; falling back to local notes. Reason:', e);
   } finally {
     // Render either API-backed notes or the local fallback.
     render();
 
     // Keep timestamps fresh without re-rendering the whole list.
     setInterval(refreshTimes, 60_000); // refresh every 60 seconds
+
+    // Empty the trash of notes that have been in it long enough (trash.js).
+    purgeExpired();
+    setInterval(purgeExpired, 60 * 60_000);
   }
 }
 
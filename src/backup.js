@@ -2,14 +2,18 @@
 // JSON export/import helpers for Mini-Notes
 // -------------------------------------------------
 // Provides two main functions:
-// - exportNotes(notes): triggers a JSON download with metadata + notes
+// - exportNotes(notes, savedSearches): triggers a JSON download with metadata + notes
+//   (+ saved searches, see savedsearches.js)
 // - parseImportedFile(file): reads & validates a JSON backup file
+// Plus exportQuarantine(entries) to rescue records storage.js could not load.
 //
 // Design notes:
-// - Self-contained, zero dependencies.
-// - Minimal schema validation: checks required fields on each note.
+// - Zero dependencies; note validation is shared with storage (migrations.js).
 // - File name includes a timestamp for easy sorting.
 
+import { validateNote } from './migrations.js';
+import { sanitizeSavedSearches } from './savedsearches.js';
+
 const EXPORT_VERSION = 1;
 
 /** Format a timestamp into YYYYMMDD-HHMMSS string. */
@@ -39,17 +43,9 @@ function downloadJSON(filename, payload) {
   URL.revokeObjectURL(url);
 }
 
-/** Shallow schema check for a single note object. */
+/** Shallow schema check for a single note object (same rules as stored notes). */
 function isValidNote(n) {
-  return (
-    n &&
-    typeof n.id === 'string' &&
-    typeof n.title === 'string' &&
-    typeof n.content === 'string' &&
-    typeof n.pinned === 'boolean' &&
-    Number.isFinite(n.createdAt) &&
-    Number.isFinite(n.updatedAt)
-  );
+  return validateNote(n).length === 0;
 }
 
 /** Validate an array of notes; returns filtered valid ones. */
@@ -61,23 +57,45 @@ function sanitizeNotesArray(arr) {
 /**
  * Export notes to a JSON file with metadata.
  * @param {Array<any>} notes
+ * @param {import('./savedsearches.js').SavedSearch[]} [savedSearches] - included as `savedSearches`
  */
-export function exportNotes(notes) {
+export function exportNotes(notes, savedSearches = []) {
   const safeNotes = sanitizeNotesArray(notes);
   const payload = {
     app: 'mini-notes',
     version: EXPORT_VERSION,
     exportedAt: Date.now(),
     notes: safeNotes,
+    savedSearches: sanitizeSavedSearches(savedSearches),
   };
   const name = `mini-notes-${formatStamp()}.json`;
   downloadJSON(name, payload);
 }
 
+/**
+ * Download quarantined records (see storage.listQuarantine()) as JSON.
+ * Users can repair the records in the file and bring them back via Import:
+ * the `notes` array is in the regular backup shape, `reasons` says what was wrong.
+ *
+ * @param {Array<{ record: any, reason: string, quarantinedAt: number }>} entries
+ */
+export function exportQuarantine(entries) {
+  const payload = {
+    app: 'mini-notes',
+    version: EXPORT_VERSION,
+    exportedAt: Date.now(),
+    quarantine: true,
+    reasons: entries.map((e) => e.reason),
+    notes: entries.map((e) => e.record),
+  };
+  downloadJSON(`mini-notes-quarantine-${formatStamp()}.json`, payload);
+}
+
 /**
  * Read and parse a .json file into notes, with basic validation.
  * @param {File} file - a File chosen from an <input type="file">
- * @returns {Promise<{notes: Array<any>, meta: any, error: string|null}>}
+ * @returns {Promise<{notes: Array<any>, savedSearches: Array<any>|null, meta: any, error: string|null}>}
+ *   `savedSearches` is null for files without them (older backups, raw arrays).
  */
 export async function parseImportedFile(file) {
   try {
@@ -87,15 +105,18 @@ export async function parseImportedFile(file) {
     // Accept both full payload and raw array for flexibility.
     const maybeNotes = Array.isArray(data) ? data : data?.notes;
     const cleaned = sanitizeNotesArray(maybeNotes);
+    const savedSearches = Array.isArray(data?.savedSearches)
+      ? sanitizeSavedSearches(data.savedSearches)
+      : null;
 
-    if (!cleaned.length) {
-      return { notes: [], meta: null, error: 'No valid notes found in file.' };
+    if (!cleaned.length && !savedSearches?.length) {
+      return { notes: [], savedSearches: null, meta: null, error: 'No valid notes found in file.' };
     }
 
     const meta = Array.isArray(data) ? { version: null } : { version: data?.version ?? null };
-    return { notes: cleaned, meta, error: null };
+    return { notes: cleaned, savedSearches, meta, error: null };
   } catch {
-    return { notes: [], meta: null, error: 'Invalid JSON file.' };
+    return { notes: [], savedSearches: null, meta: null, error: 'Invalid JSON file.' };
   }
 }
 
@@ -1,9 +1,14 @@
 // dialogs.js
-// Small modal-backed confirm dialog
+// Small modal-backed dialogs (confirm, merge, history)
 // -------------------------------------------------
 // Provides a Promise-based confirm() that shows a modal,
 // resolves to true (confirmed) or false (cancelled / dismissed)
 // and handles basic keyboard/backdrop interactions.
+// mergeDialog() resolves a save conflict field by field.
+// historyDialog() compares two revisions of a note and picks one to restore.
+
+import { diffLines, renderDiff } from './diff.js';
+import { escapeHtml } from './utils.js';
 
 /**
  * Show the confirm modal and resolve with the user's choice.
@@ -11,6 +16,7 @@
  * @param {Object}   [options]
  * @param {string}   [options.title='Notiz löschen?'] - Modal heading text.
  * @param {string}   [options.text='Diese Aktion kann nicht rückgängig gemacht werden.'] - Body/description text.
+ * @param {string}   [options.okText='Ja, löschen'] - Label of the confirm button.
  * @returns {Promise<boolean>} Resolves `true` when confirmed, `false` otherwise.
  *
  * Usage:
@@ -20,6 +26,7 @@
 export function confirmDialog({
   title = 'Notiz löschen?',
   text = 'Diese Aktion kann nicht rückgängig gemacht werden.',
+  okText = 'Ja, löschen',
 } = {}) {
   // Grab all required modal elements from the DOM.
   // NOTE: This function assumes that these elements exist in index.html.
@@ -34,6 +41,7 @@ export function confirmDialog({
     // Inject dynamic content (title + description) for the current action.
     confirmTitle.textContent = title;
     confirmText.textContent = text;
+    confirmOk.textContent = okText;
 
     // Show the modal and prevent body scroll while it is open.
     confirmModal.hidden = false;
@@ -80,3 +88,228 @@ export function confirmDialog({
     setTimeout(() => confirmOk.focus(), 0);
   });
 }
+
+/**
+ * Show the merge modal for a save conflict and resolve with the merged fields.
+ *
+ * For every field (title, content) the user sees their version and the server
+ * version side by side and can take either one or edit the result by hand.
+ *
+ * @param {Object} versions
+ * @param {{ title: string, content: string }} versions.mine   - What the user tried to save
+ * @param {{ title: string, content: string }} versions.theirs - Current server copy
+ * @returns {Promise<{ title: string, content: string } | null>}
+ *   The merged fields, or `null` if the user cancelled.
+ *
+ * Usage:
+ *   const merged = await mergeDialog({ mine: { title, content }, theirs: serverNote });
+ *   if (merged) { /* save merged.title / merged.content *\/ }
+ */
+export function mergeDialog({ mine, theirs }) {
+  // NOTE: This function assumes that these elements exist in index.html.
+  const mergeModal = document.getElementById('merge-modal');
+  const mergeForm = document.getElementById('merge-form');
+  const mergeCancel = document.getElementById('merge-cancel');
+  const mergeBackdrop = mergeModal?.querySelector('.modal-backdrop');
+  const fields = [...mergeForm.querySelectorAll('.merge-field')];
+
+  return new Promise((resolve) => {
+    // Fill both columns and preset the result with the user's own version.
+    for (const fs of fields) {
+      const name = fs.dataset.field; // 'title' | 'content'
+      fs.querySelector('[data-side="mine"]').textContent = mine[name] ?? '';
+      fs.querySelector('[data-side="theirs"]').textContent = theirs[name] ?? '';
+      fs.querySelector('[data-result]').value = mine[name] ?? '';
+      fs.classList.toggle('same', (mine[name] ?? '') === (theirs[name] ?? ''));
+    }
+
+    mergeModal.hidden = false;
+    document.body.classList.add('no-scroll');
+
+    // ---- Event handlers ----
+    // "Take mine" / "Take theirs" copy that side into the field's result input.
+    const onPick = (e) => {
+      const btn = e.target.closest('button[data-pick]');
+      if (!btn) return;
+      const fs = btn.closest('.merge-field');
+      const source = btn.dataset.pick === 'mine' ? mine : theirs;
+      fs.querySelector('[data-result]').value = source[fs.dataset.field] ?? '';
+    };
+    const onSubmit = (e) => {
+      e.preventDefault();
+      const result = {};
+      for (const fs of fields) result[fs.dataset.field] = fs.querySelector('[data-result]').value;
+      cleanup(result);
+    };
+    const onCancel = () => cleanup(null);
+    // Capture phase + stopPropagation: ESC must not also close the edit modal underneath.
+    const onKey = (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      cleanup(null);
+    };
+
+    /**
+     * Tear down all listeners, hide the modal and resolve the promise.
+     * The edit modal below stays open, so body scrolling remains locked.
+     * @param {{ title: string, content: string } | null} result
+     */
+    function cleanup(result) {
+      mergeForm.removeEventListener('click', onPick);
+      mergeForm.removeEventListener('submit', onSubmit);
+      mergeCancel.removeEventListener('click', onCancel);
+      mergeBackdrop?.removeEventListener('click', onCancel);
+      document.removeEventListener('keydown', onKey, true);
+
+      mergeModal.hidden = true;
+      resolve(result);
+    }
+
+    // ---- Wire listeners ----
+    mergeForm.addEventListener('click', onPick);
+    mergeForm.addEventListener('submit', onSubmit);
+    mergeCancel.addEventListener('click', onCancel);
+    mergeBackdrop?.addEventListener('click', onCancel);
+    document.addEventListener('keydown', onKey, true);
+
+    setTimeout(() => fields[0]?.querySelector('[data-result]').focus(), 0);
+  });
+}
+
+/**
+ * Show the history modal for a note: pick two revisions to see what changed
+ * between them (line diff), optionally restore the older pick ("Von").
+ *
+ * @param {Object} options
+ * @param {string} options.title - note title (heading)
+ * @param {import('./history.js').Revision[]} options.revisions - oldest first, the last one is the current state
+ * @param {number} options.limit - current retention limit (revisions per note)
+ * @param {number[]} options.limits - limits to offer
+ * @param {(limit: number) => import('./history.js').Revision[]} options.onLimitChange
+ *   persist a new limit and return the revisions that are left
+ * @returns {Promise<import('./history.js').Revision | null>}
+ *   The revision to restore, or `null` if the modal was just closed.
+ *
+ * Usage:
+ *   const revision = await historyDialog({ title, revisions, limit, limits, onLimitChange });
+ *   if (revision) { /* save revision.title / .content / .pinned *\/ }
+ */
+export function historyDialog({ title, revisions, limit, limits, onLimitChange }) {
+  // NOTE: This function assumes that these elements exist in index.html.
+  const historyModal = document.getElementById('history-modal');
+  const historyForm = document.getElementById('history-form');
+  const historyTitle = document.getElementById('history-title');
+  const fromSelect = document.getElementById('history-from');
+  const toSelect = document.getElementById('history-to');
+  const metaEl = document.getElementById('history-meta');
+  const diffEl = document.getElementById('history-diff');
+  const limitSelect = document.getElementById('history-limit');
+  const restoreBtn = document.getElementById('history-restore');
+  const closeBtn = document.getElementById('history-close');
+  const historyBackdrop = historyModal?.querySelector('.modal-backdrop');
+
+  let list = revisions;
+
+  return new Promise((resolve) => {
+    historyTitle.textContent = `Verlauf: ${title || '(ohne Titel)'}`;
+    limitSelect.innerHTML = limits
+      .map((n) => `<option value="${n}"${n === limit ? ' selected' : ''}>${n}</option>`)
+      .join('');
+
+    /** Refill both selects (newest first); default: previous → current version. */
+    function fillSelects() {
+      const options = list
+        .map((rev, i) => {
+          const when = new Date(rev.savedAt).toLocaleString('de-DE', {
+            dateStyle: 'medium',
+            timeStyle: 'short',
+          });
+          const label = i === list.length - 1 ? `${when} (aktuell)` : when;
+          return `<option value="${i}">${escapeHtml(label)}</option>`;
+        })
+        .reverse()
+        .join('');
+      fromSelect.innerHTML = options;
+      toSelect.innerHTML = options;
+      fromSelect.value = String(Math.max(0, list.length - 2));
+      toSelect.value = String(list.length - 1);
+    }
+
+    /** Show what changed between the two picked revisions. */
+    function update() {
+      const from = list[Number(fromSelect.value)];
+      const to = list[Number(toSelect.value)];
+      const current = list[list.length - 1];
+
+      const notes = [];
+      if (from.title !== to.title) notes.push(`Titel: „${from.title}“ → „${to.title}“`);
+      if (from.pinned !== to.pinned) {
+        notes.push(to.pinned ? 'Angeheftet' : 'Nicht mehr angeheftet');
+      }
+      metaEl.textContent = notes.join(' · ');
+      metaEl.hidden = notes.length === 0;
+
+      diffEl.innerHTML =
+        list.length < 2
+          ? '<p class="diff-empty">Noch keine früheren Versionen.</p>'
+          : renderDiff(diffLines(from.content, to.content));
+
+      // Restoring the current state (or an identical one) would change nothing.
+      const unchanged =
+        from.title === current.title &&
+        from.content === current.content &&
+        from.pinned === current.pinned;
+      restoreBtn.disabled = unchanged;
+    }
+
+    fillSelects();
+    update();
+    historyModal.hidden = false;
+    document.body.classList.add('no-scroll');
+
+    // ---- Event handlers ----
+    const onPick = () => update();
+    const onLimit = () => {
+      list = onLimitChange(Number(limitSelect.value));
+      fillSelects();
+      update();
+    };
+    const onSubmit = (e) => {
+      e.preventDefault();
+      cleanup(list[Number(fromSelect.value)]);
+    };
+    const onClose = () => cleanup(null);
+    const onKey = (e) => {
+      if (e.key === 'Escape') cleanup(null);
+    };
+
+    /**
+     * Tear down all listeners, hide the modal, restore scroll and resolve.
+     * @param {import('./history.js').Revision | null} result
+     */
+    function cleanup(result) {
+      fromSelect.removeEventListener('change', onPick);
+      toSelect.removeEventListener('change', onPick);
+      limitSelect.removeEventListener('change', onLimit);
+      historyForm.removeEventListener('submit', onSubmit);
+      closeBtn.removeEventListener('click', onClose);
+      historyBackdrop?.removeEventListener('click', onClose);
+      document.removeEventListener('keydown', onKey);
+
+      historyModal.hidden = true;
+      document.body.classList.remove('no-scroll');
+      resolve(result);
+    }
+
+    // ---- Wire listeners ----
+    fromSelect.addEventListener('change', onPick);
+    toSelect.addEventListener('change', onPick);
+    limitSelect.addEventListener('change', onLimit);
+    historyForm.addEventListener('submit', onSubmit);
+    closeBtn.addEventListener('click', onClose);
+    historyBackdrop?.addEventListener('click', onClose);
+    document.addEventListener('keydown', onKey);
+
+    setTimeout(() => fromSelect.focus(), 0);
+  });
+}
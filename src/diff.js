@@ -0,0 +1,137 @@
+// diff.js
+// Line-level diff between two texts (revision history)
+// -------------------------------------------------
+// diffLines() compares two texts line by line (longest common subsequence) and
+// returns which lines were kept, removed or added; renderDiff() turns that into
+// HTML for the history view, with long unchanged stretches folded away.
+//
+// Design notes:
+// - Common leading/trailing lines are split off first, so the usual "changed a
+//   few lines in a long note" case only compares the middle part.
+// - The LCS table grows with (lines a × lines b); above MAX_CELLS the middle part
+//   is shown as removed + added instead of finding the smallest change.
+
+import { escapeHtml } from './utils.js';
+
+/** Largest LCS table (cells) before falling back to "all removed, all added". */
+const MAX_CELLS = 2_000_000;
+
+/** Unchanged lines shown around a change; longer unchanged runs are folded. */
+const CONTEXT = 3;
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {'same'|'del'|'add'} type
+ * @property {string} text
+ */
+
+/**
+ * Compare two texts line by line.
+ * @param {string} a - old text
+ * @param {string} b - new text
+ * @returns {DiffLine[]} in reading order (removed lines before the added ones that replace them)
+ */
+export function diffLines(a, b) {
+  const x = String(a ?? '').split(/\r\n?|\n/);
+  const y = String(b ?? '').split(/\r\n?|\n/);
+
+  let start = 0;
+  while (start < x.length && start < y.length && x[start] === y[start]) start++;
+  let endX = x.length;
+  let endY = y.length;
+  while (endX > start && endY > start && x[endX - 1] === y[endY - 1]) {
+    endX--;
+    endY--;
+  }
+
+  const same = (text) => ({ type: 'same', text });
+  const head = x.slice(0, start).map(same);
+  const tail = x.slice(endX).map(same);
+  const midX = x.slice(start, endX);
+  const midY = y.slice(start, endY);
+
+  return [...head, ...diffMiddle(midX, midY), ...tail];
+}
+
+/** LCS diff of the lines that differ (no common first/last line). */
+function diffMiddle(x, y) {
+  const del = (text) => ({ type: 'del', text });
+  const add = (text) => ({ type: 'add', text });
+  if (x.length === 0 || y.length === 0 || x.length * y.length > MAX_CELLS) {
+    return [...x.map(del), ...y.map(add)];
+  }
+
+  // lcs[i][j] = length of the LCS of x[i..] and y[j..]
+  const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) {
+      out.push({ type: 'same', text: x[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push(del(x[i++]));
+    } else {
+      out.push(add(y[j++]));
+    }
+  }
+  while (i < x.length) out.push(del(x[i++]));
+  while (j < y.length) out.push(add(y[j++]));
+  return out;
+}
+
+/**
+ * HTML for a diff: one line per row, "+"/"−" marked; unchanged runs longer than
+ * a few lines around the changes are folded into a "… n unveränderte Zeilen" row.
+ * @param {DiffLine[]} lines
+ * @returns {string} HTML (all text escaped)
+ */
+export function renderDiff(lines) {
+  if (!lines.some((l) => l.type !== 'same')) {
+    return '<p class="diff-empty">Keine Unterschiede.</p>';
+  }
+
+  // Keep unchanged lines within CONTEXT of a change.
+  const keep = lines.map(() => false);
+  lines.forEach((line, i) => {
+    if (line.type === 'same') return;
+    for (let k = Math.max(0, i - CONTEXT); k <= Math.min(lines.length - 1, i + CONTEXT); k++) {
+      keep[k] = true;
+    }
+  });
+
+  const rows = [];
+  let folded = 0;
+  const flush = () => {
+    if (folded === 0) return;
+    rows.push(
+      `<div class="diff-fold">… ${folded} unveränderte Zeile${folded === 1 ? '' : 'n'}</div>`
+    );
+    folded = 0;
+  };
+  lines.forEach((line, i) => {
+    if (!keep[i]) {
+      folded++;
+      return;
+    }
+    flush();
+    // <del>/<ins> so assistive technology announces removed/added lines, too.
+    const text = escapeHtml(line.text) || ' ';
+    const mark = { same: ' ', del: '−', add: '+' }[line.type];
+    const tag = { del: 'del', add: 'ins' }[line.type];
+    const body = tag ? `<${tag}>${text}</${tag}>` : text;
+    rows.push(
+      `<div class="diff-${line.type}"><span class="diff-mark" aria-hidden="true">${mark}</span>${body}</div>`
+    );
+  });
+  flush();
+  return `<div class="diff">${rows.join('')}</div>`;
+}
@@ -0,0 +1,184 @@
+// history.js
+// Per-note revision history (kept in this browser)
+// -------------------------------------------------
+// Every save of a note from the UI (edit, checklist tick, pin, tag/link updates,
+// restore) records a revision: title, content, pinned and when it was saved.
+// The history view (app.js + dialogs.js) lists the revisions, shows a line diff
+// between any two (diff.js) and restores an old one as a new save.
+//
+// Design notes:
+// - Stored in localStorage under one key ({ [note id]: Revision[] }, oldest first),
+//   apart from the notes: the history is a local safety net, it is neither synced
+//   to the server nor part of backups.
+// - The version a note had before its first recorded save is kept too, so even
+//   the first edit can be undone.
+// - Retention: at most `limit` revisions per note (a per-browser setting, see
+//   HISTORY_LIMITS); the oldest are dropped first. The whole history also has a
+//   size budget (MAX_HISTORY_CHARS) well below the localStorage quota, which the
+//   outbox, trash and settings share: beyond it, the oldest revisions of all
+//   notes go first, so it never grows until writes fail.
+
+/** Storage key for the revisions of all notes. */
+const HISTORY_KEY = 'mini-notes.history';
+
+/** Storage key for the retention limit (revisions kept per note). */
+const LIMIT_KEY = 'mini-notes.history-limit';
+
+/** Retention limits offered in the UI. */
+export const HISTORY_LIMITS = [10, 25, 50, 100];
+
+/** Revisions kept per note unless the user chose otherwise. */
+export const DEFAULT_HISTORY_LIMIT = 25;
+
+/** Size budget of the stored history (JSON characters, ~2 MB as UTF-16). */
+const MAX_HISTORY_CHARS = 1_000_000;
+
+/**
+ * @typedef {Object} Revision
+ * @property {string}  title
+ * @property {string}  content
+ * @property {boolean} pinned
+ * @property {number}  savedAt  - Unix ms timestamp of the save
+ */
+
+/**
+ * Revisions kept per note.
+ * @returns {number}
+ */
+export function loadHistoryLimit() {
+  const limit = Number(localStorage.getItem(LIMIT_KEY));
+  return HISTORY_LIMITS.includes(limit) ? limit : DEFAULT_HISTORY_LIMIT;
+}
+
+/**
+ * Persist the retention limit and drop revisions beyond it right away.
+ * @param {number} limit - one of HISTORY_LIMITS
+ * @returns {void}
+ */
+export function saveHistoryLimit(limit) {
+  if (!HISTORY_LIMITS.includes(limit)) throw new Error(`Unknown history limit: ${limit}`);
+  localStorage.setItem(LIMIT_KEY, String(limit));
+  const all = loadAll();
+  for (const id of Object.keys(all)) all[id] = all[id].slice(-limit);
+  saveAll(all);
+}
+
+/** All stored revisions by note id (empty if nothing/corrupt data is stored). */
+function loadAll() {
+  try {
+    const all = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    return all && typeof all === 'object' && !Array.isArray(all) ? all : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write all revisions, first dropping the oldest ones (across all notes) that
+ * don't fit into MAX_HISTORY_CHARS. A failing write is logged, not thrown: the
+ * history must never break the save it records.
+ */
+function saveAll(all) {
+  let size = JSON.stringify(all).length;
+  if (size > MAX_HISTORY_CHARS) {
+    const oldestFirst = Object.values(all)
+      .flat()
+      .sort((a, b) => a.savedAt - b.savedAt);
+    const dropped = new Set();
+    for (const revision of oldestFirst) {
+      if (size <= MAX_HISTORY_CHARS) break;
+      dropped.add(revision);
+      size -= JSON.stringify(revision).length + 1; // + separating comma
+    }
+    for (const id of Object.keys(all)) {
+      all[id] = all[id].filter((revision) => !dropped.has(revision));
+      if (all[id].length === 0) delete all[id];
+    }
+  }
+
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(all));
+  } catch (err) {
+    console.warn('Revision history could not be saved:', err);
+  }
+}
+
+/** The fields a revision keeps of a note. */
+function toRevision(note, savedAt) {
+  return {
+    title: String(note.title ?? ''),
+    content: String(note.content ?? ''),
+    pinned: Boolean(note.pinned),
+    savedAt,
+  };
+}
+
+/** Same title, content and pinned state. */
+function sameVersion(a, b) {
+  return a.title === b.title && a.content === b.content && a.pinned === b.pinned;
+}
+
+/**
+ * Record a save of a note.
+ *
+ * @param {import('./app.js').Note} note - the note as saved
+ * @param {Object} [options]
+ * @param {import('./app.js').Note} [options.previous] - the note before the save;
+ *   recorded first if the history does not end with it yet (first save, or the
+ *   note was changed elsewhere since the last recorded one)
+ * @returns {void}
+ */
+export function recordRevision(note, { previous } = {}) {
+  const id = String(note.id);
+  const all = loadAll();
+  const list = all[id] ?? [];
+
+  const add = (revision) => {
+    const last = list[list.length - 1];
+    if (!last || !sameVersion(last, revision)) list.push(revision);
+  };
+  if (previous) add(toRevision(previous, previous.updatedAt ?? previous.createdAt ?? Date.now()));
+  add(toRevision(note, Date.now()));
+
+  all[id] = list.slice(-loadHistoryLimit());
+  saveAll(all);
+}
+
+/**
+ * A note's revisions, oldest first; its current state is added at the end if
+ * the history does not end with it (e.g. changed on another device).
+ * @param {import('./app.js').Note} note
+ * @returns {Revision[]}
+ */
+export function listRevisions(note) {
+  const list = loadAll()[String(note.id)] ?? [];
+  const current = toRevision(note, note.updatedAt ?? note.createdAt ?? Date.now());
+  const last = list[list.length - 1];
+  return last && sameVersion(last, current) ? list : [...list, current];
+}
+
+/**
+ * Move a note's history to a new id (an offline-created note got its server id).
+ * @param {string} fromId
+ * @param {string} toId
+ * @returns {void}
+ */
+export function moveRevisions(fromId, toId) {
+  const all = loadAll();
+  if (!all[fromId] || fromId === toId) return;
+  all[toId] = [...(all[toId] ?? []), ...all[fromId]];
+  delete all[fromId];
+  saveAll(all);
+}
+
+/**
+ * Forget a note's history (the note was deleted).
+ * @param {string} id
+ * @returns {void}
+ */
+export function dropRevisions(id) {
+  const all = loadAll();
+  if (!all[String(id)]) return;
+  delete all[String(id)];
+  saveAll(all);
+}
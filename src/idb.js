@@ -0,0 +1,99 @@
+// idb.js
+// IndexedDB implementation of the notes store
+// -------------------------------------------------
+// One record per note (object store "notes", keyPath "id"), so a change writes
+// just that note instead of re-serializing the whole list like localStorage.
+//
+// Design notes:
+// - Implements the NotesStore interface documented in storage.js.
+// - Tiny promise wrappers around IDBRequest/IDBTransaction; no dependencies.
+// - openIdbStore() rejects if IndexedDB is unavailable or blocked (e.g. some
+//   private browsing modes); storage.js then falls back to localStorage.
+
+const DB_NAME = 'mini-notes';
+const DB_VERSION = 1;
+const NOTES = 'notes';
+
+/** Resolve with the result of an IDBRequest (or reject with its error). */
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Resolve once a transaction has committed (writes are durable then). */
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error ?? new Error('IndexedDB transaction aborted'));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Open (and on first use create) the database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(NOTES)) db.createObjectStore(NOTES, { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+  });
+}
+
+/**
+ * Open the IndexedDB-backed notes store.
+ * @returns {Promise<import('./storage.js').NotesStore>}
+ */
+export async function openIdbStore() {
+  const db = await openDb();
+
+  // Another tab upgraded the schema → close so it is not blocked; the next
+  // page load reopens with the new version.
+  db.onversionchange = () => db.close();
+
+  return {
+    kind: 'indexeddb',
+
+    get(id) {
+      return promisify(db.transaction(NOTES).objectStore(NOTES).get(String(id)));
+    },
+
+    list() {
+      return promisify(db.transaction(NOTES).objectStore(NOTES).getAll());
+    },
+
+    async put(note) {
+      const tx = db.transaction(NOTES, 'readwrite');
+      tx.objectStore(NOTES).put(note);
+      await done(tx);
+    },
+
+    async delete(id) {
+      const tx = db.transaction(NOTES, 'readwrite');
+      tx.objectStore(NOTES).delete(id);
+      await done(tx);
+    },
+
+    // All writes in one transaction: either everything lands or nothing does.
+    async apply({ put = [], delete: remove = [] }) {
+      if (put.length === 0 && remove.length === 0) return;
+      const tx = db.transaction(NOTES, 'readwrite');
+      const store = tx.objectStore(NOTES);
+      for (const note of put) store.put(note);
+      for (const id of remove) store.delete(id);
+      await done(tx);
+    },
+  };
+}
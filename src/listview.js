@@ -0,0 +1,198 @@
+// listview.js
+// Sorting and grouping of the notes list (persisted choice)
+// -------------------------------------------------
+// The list under "Notizen" can be
+// - sorted by: relevance (search ranking; without a search = last change),
+//   last change, creation date, or title A–Z (locale-aware, "Ärger" next to
+//   "Arbeit", "Notiz 2" before "Notiz 10")
+// - grouped by: first tag (its top level), day or week of the last change, or pinned/unpinned,
+//   each group under a header that can be collapsed.
+// Pinned notes stay on top within every sort order (and every group).
+//
+// Design notes:
+// - The choice (incl. collapsed groups) is stored per browser in localStorage,
+//   like the theme and sync mode; app.js also mirrors sort/group into the URL
+//   (urlstate.js) so a shared link shows the same view.
+// - sortNotes()/groupNotes() are pure; app.js renders the result.
+
+import { tagAncestors } from './utils.js';
+
+/** Storage key for the list view settings (JSON object). */
+const VIEW_KEY = 'mini-notes.list-view';
+
+/** @typedef {'relevance'|'updated'|'created'|'title'} SortMode */
+/** @typedef {'none'|'tag'|'day'|'week'|'pinned'} GroupMode */
+
+/** All sort orders (in the order they are offered in the UI). */
+export const SORTS = ['relevance', 'updated', 'created', 'title'];
+/** All groupings (in the order they are offered in the UI). */
+export const GROUPS = ['none', 'tag', 'day', 'week', 'pinned'];
+
+/** Collapsed groups remembered per browser (oldest are dropped first). */
+const MAX_COLLAPSED = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ListView
+ * @property {SortMode} sort
+ * @property {GroupMode} group
+ * @property {string[]} collapsed - keys of collapsed groups ("<group>:<key>")
+ */
+
+/** @type {ListView} */
+export const DEFAULT_VIEW = { sort: 'relevance', group: 'none', collapsed: [] };
+
+/**
+ * Keep only valid settings (unknown values fall back to the defaults).
+ * @param {unknown} value
+ * @returns {ListView}
+ */
+export function sanitizeListView(value) {
+  const sort = SORTS.includes(value?.sort) ? value.sort : DEFAULT_VIEW.sort;
+  const group = GROUPS.includes(value?.group) ? value.group : DEFAULT_VIEW.group;
+  const collapsed = Array.isArray(value?.collapsed)
+    ? value.collapsed.filter((k) => typeof k === 'string').slice(-MAX_COLLAPSED)
+    : [];
+  return { sort, group, collapsed };
+}
+
+/**
+ * Read the stored list view settings.
+ * @returns {ListView}
+ */
+export function loadListView() {
+  try {
+    return sanitizeListView(JSON.parse(localStorage.getItem(VIEW_KEY) ?? '{}'));
+  } catch {
+    return { ...DEFAULT_VIEW };
+  }
+}
+
+/**
+ * Persist the list view settings.
+ * @param {ListView} view
+ * @returns {void}
+ */
+export function saveListView(view) {
+  localStorage.setItem(VIEW_KEY, JSON.stringify(sanitizeListView(view)));
+}
+
+/** Title order: locale-aware, case-insensitive, numbers by value. */
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+const byUpdated = (a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0);
+const byCreated = (a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0) || byUpdated(a, b);
+const byTitle = (a, b) => collator.compare(a.title, b.title) || byUpdated(a, b);
+
+/**
+ * Sort notes for display (pinned first, then `sort`).
+ *
+ * @param {import('./app.js').Note[]} notes - in search ranking order (search.js)
+ * @param {SortMode} sort
+ * @returns {import('./app.js').Note[]} new array
+ */
+export function sortNotes(notes, sort) {
+  // The search index already returns its ranking (or last change without a search).
+  if (sort === 'relevance') return [...notes];
+  const compare = sort === 'created' ? byCreated : sort === 'title' ? byTitle : byUpdated;
+  return [...notes].sort((a, b) => Number(b.pinned) - Number(a.pinned) || compare(a, b));
+}
+
+/**
+ * @typedef {Object} NoteGroup
+ * @property {string} key    - stable id of the group ("<group>:<key>", for collapsing)
+ * @property {string} label  - header text
+ * @property {import('./app.js').Note[]} notes - in the order they were passed in
+ */
+
+/** Local midnight of the day `ts` falls on. */
+function startOfDay(ts) {
+  const d = new Date(ts);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+/** Local midnight of the Monday of the week `ts` falls on. */
+function startOfWeek(ts) {
+  const d = new Date(startOfDay(ts));
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+}
+
+/** ISO 8601 week number and its year ("KW 1" can start in late December). */
+function isoWeek(ts) {
+  const d = new Date(startOfDay(ts));
+  d.setDate(d.getDate() + 3 - ((d.getDay() + 6) % 7)); // Thursday of that week
+  const year = d.getFullYear();
+  const week = 1 + Math.round((d - new Date(year, 0, 4)) / (7 * DAY_MS));
+  return { week, year };
+}
+
+/** Header for a day group (German). */
+function dayLabel(day, now) {
+  const today = startOfDay(now);
+  if (day === today) return 'Heute';
+  if (day === startOfDay(today - DAY_MS / 2)) return 'Gestern';
+  return new Date(day).toLocaleDateString('de-DE', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  });
+}
+
+/** Header for a week group (German). */
+function weekLabel(week, now) {
+  const current = startOfWeek(now);
+  if (week === current) return 'Diese Woche';
+  if (week === startOfWeek(current - DAY_MS / 2)) return 'Letzte Woche';
+  const { week: nr, year } = isoWeek(week);
+  return `KW ${nr} · ${year}`;
+}
+
+/**
+ * Split already sorted notes into groups.
+ *
+ * Group order: tags A–Z (top level of the note's first tag, notes without tags
+ * last); days/weeks newest first; pinned before the rest.
+ *
+ * @param {import('./app.js').Note[]} notes
+ * @param {GroupMode} group
+ * @param {Object} options
+ * @param {(id: string) => string[]} options.tagsOf - tags of a note in text order (search index)
+ * @param {number} [options.now=Date.now()]
+ * @returns {NoteGroup[]} one group with all notes for 'none'
+ */
+export function groupNotes(notes, group, { tagsOf, now = Date.now() }) {
+  if (group === 'none') return [{ key: 'none', label: '', notes: [...notes] }];
+
+  const groups = new Map(); // sort key → { key, label, notes }
+  for (const note of notes) {
+    let sortKey;
+    let label;
+    if (group === 'tag') {
+      const [first] = tagsOf(String(note.id));
+      sortKey = first === undefined ? null : tagAncestors(first)[0];
+      label = sortKey === null ? 'Ohne Tag' : `#${sortKey}`;
+    } else if (group === 'pinned') {
+      sortKey = note.pinned ? 0 : 1;
+      label = note.pinned ? 'Angeheftet' : 'Weitere Notizen';
+    } else {
+      const ts = note.updatedAt ?? note.createdAt ?? 0;
+      sortKey = group === 'day' ? startOfDay(ts) : startOfWeek(ts);
+      label = group === 'day' ? dayLabel(sortKey, now) : weekLabel(sortKey, now);
+    }
+    if (!groups.has(sortKey)) {
+      groups.set(sortKey, { key: `${group}:${sortKey ?? ''}`, label, notes: [] });
+    }
+    groups.get(sortKey).notes.push(note);
+  }
+
+  const order = {
+    tag: (a, b) => (a === null) - (b === null) || collator.compare(a ?? '', b ?? ''),
+    pinned: (a, b) => a - b,
+    day: (a, b) => b - a,
+    week: (a, b) => b - a,
+  }[group];
+  return [...groups.keys()].sort(order).map((k) => groups.get(k));
+}
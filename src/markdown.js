@@ -0,0 +1,533 @@
+// markdown.js
+// Small, safe Markdown renderer for note content
+// -------------------------------------------------
+// Supported (a practical subset of CommonMark + GFM tables):
+// - Blocks: paragraphs (single line breaks are kept), ATX headings (# … ######),
+//   bullet lists (-, *, +) and ordered lists (1. / 1)), nested by indentation,
+//   blockquotes (>), fenced code (``` or ~~~), horizontal rules, tables (| a | b |),
+//   task list items ("- [ ] todo", "- [x] done") as checkboxes (see tasks.js)
+// - Inline: **bold**, *italic* / _italic_, `code`, [links](https://…), <https://…>
+//   and bare http(s) URLs, backslash escapes (\*), [[Note title]] links between
+//   notes (see wikilinks.js)
+//
+// Design notes:
+// - Safe by construction: there is no raw HTML pass-through. Every piece of user
+//   text goes through highlightText() (escapes, adds the search <mark>s), and the
+//   only tags/attributes emitted are the ones built here. Links must be http(s),
+//   mailto or relative; anything else (javascript:, data:, …) stays plain text.
+// - Search highlighting is applied per text run, so it works inside emphasis,
+//   links and code, but a phrase spanning two formats ("**a** b") isn't marked.
+// - #tags are untouched: a heading needs a space after the "#" ("# Title"), so
+//   "#work" at the start of a line stays text, and tags are still extracted from
+//   the raw note text (utils.extractTags()).
+// - Checkboxes carry data-task="<n>": the n-th task of the note in text order.
+//   tasks.js gets the tasks and their source lines from this same block parser
+//   (scanTasks()), so its numbering can't drift from the rendered checkboxes
+//   (fences, quotes and list items end in exactly the same places).
+// - Indented code blocks are not supported, so list markers, quotes and fences
+//   may be indented any amount.
+// - Headings start at <h4> (the note title is an <h3>), "###" and below are <h6>.
+
+import { WIKI_LINK_AT } from './wikilinks.js';
+import { escapeHtml, highlightText } from './utils.js';
+
+const FENCE = /^ *(`{3,}|~{3,})[ \t]*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ *> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+const TABLE_SEPARATOR = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+/** Checkbox at the start of a list item's text ("[ ] buy milk"). */
+const TASK_BOX = /^\[([ xX])\][ \t]+(?=\S)/;
+
+/** Characters that a backslash turns into plain text. */
+const ESCAPABLE = /[\\`*_{}[\]()#+\-.!|>~<]/;
+/** URL schemes links may use (everything without a scheme is relative). */
+const SAFE_SCHEME = /^(?:https?|mailto):/i;
+
+/**
+ * Render note content as HTML.
+ *
+ * @param {string} text - raw note content (Markdown)
+ * @param {Object} [options]
+ * @param {string[]} [options.terms=[]] - search terms to <mark> (see utils.findMatches())
+ * @param {(title: string) => boolean} [options.linkExists] - whether a [[link]] target
+ *   exists (missing ones are marked so the UI can offer to create them)
+ * @returns {string} sanitized HTML
+ */
+export function renderMarkdown(text, { terms = [], linkExists = () => true } = {}) {
+  const lines = splitLines(text);
+  return renderBlocks(lines, lineNumbers(lines), { terms, linkExists, tasks: 0 }, false);
+}
+
+/**
+ * @typedef {Object} ScannedTask
+ * @property {number}  line    - line number in the text (0-based) of the checkbox
+ * @property {boolean} checked
+ * @property {string}  text    - first line of the task's text (Markdown)
+ */
+
+/**
+ * The task list items of a note, in the order renderMarkdown() numbers their
+ * checkboxes (data-task), with the line each one's checkbox is on.
+ * @param {string} text - raw note content (Markdown)
+ * @returns {ScannedTask[]}
+ */
+export function scanTasks(text) {
+  const lines = splitLines(text);
+  const found = [];
+  renderBlocks(
+    lines,
+    lineNumbers(lines),
+    { terms: [], linkExists: () => true, tasks: 0, found },
+    false
+  );
+  return found;
+}
+
+function splitLines(text) {
+  return String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+}
+
+function lineNumbers(lines) {
+  return lines.map((_, i) => i);
+}
+
+/**
+ * @typedef {Object} RenderContext
+ * @property {string[]} terms  - search terms to <mark>
+ * @property {(title: string) => boolean} linkExists - see renderMarkdown()
+ * @property {number} tasks    - checkboxes rendered so far (next data-task)
+ * @property {ScannedTask[]} [found] - collects the checkboxes (scanTasks())
+ */
+
+/**
+ * @param {string} line
+ * @returns {boolean} true if the line starts a block other than a paragraph
+ */
+function startsBlock(line) {
+  return (
+    FENCE.test(line) ||
+    HEADING.test(line) ||
+    RULE.test(line) ||
+    QUOTE.test(line) ||
+    (LIST_ITEM.test(line) && LIST_ITEM.exec(line)[4].trim() !== '')
+  );
+}
+
+/**
+ * Render a sequence of lines as blocks.
+ * @param {string[]} lines
+ * @param {number[]} rows - line number in the note of each of `lines`
+ * @param {RenderContext} ctx
+ * @param {boolean} tight - inside a tight list item: paragraphs without <p>
+ * @returns {string}
+ */
+function renderBlocks(lines, rows, ctx, tight) {
+  const { terms } = ctx;
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+
+    if (!line.trim()) {
+      i++;
+    } else if ((m = line.match(FENCE))) {
+      // Fenced code: everything up to the closing fence (or the end) is literal.
+      const [, fence, lang] = m;
+      const closing = new RegExp(`^ *${fence[0]}{${fence.length},}[ \\t]*$`);
+      const body = [];
+      for (i++; i < lines.length && !closing.test(lines[i]); i++) body.push(lines[i]);
+      i++;
+      const cls = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+      out.push(`<pre><code${cls}>${highlightText(body.join('\n'), terms)}</code></pre>`);
+    } else if ((m = line.match(HEADING))) {
+      const level = Math.min(m[1].length + 3, 6);
+      out.push(`<h${level}>${renderInline(m[2], ctx)}</h${level}>`);
+      i++;
+    } else if (RULE.test(line)) {
+      out.push('<hr>');
+      i++;
+    } else if (QUOTE.test(line)) {
+      const body = [];
+      const bodyRows = [];
+      for (; i < lines.length && QUOTE.test(lines[i]); i++) {
+        body.push(lines[i].replace(QUOTE, ''));
+        bodyRows.push(rows[i]);
+      }
+      out.push(`<blockquote>${renderBlocks(body, bodyRows, ctx, false)}</blockquote>`);
+    } else if (LIST_ITEM.test(line)) {
+      i = renderList(lines, rows, i, ctx, out);
+    } else if (line.includes('|') && TABLE_SEPARATOR.test(lines[i + 1] ?? '')) {
+      i = renderTable(lines, i, ctx, out);
+    } else {
+      // Paragraph: up to a blank line or the start of another block.
+      const body = [line];
+      for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines[i]); i++) {
+        body.push(lines[i]);
+      }
+      const html = renderInline(body.map((l) => l.trim()).join('\n'), ctx).replace(/\n/g, '<br>\n');
+      out.push(tight ? html : `<p>${html}</p>`);
+    }
+  }
+  return out.join('\n');
+}
+
+/**
+ * Render the list starting at `lines[start]`; pushes the HTML to `out`.
+ * @returns {number} index of the first line after the list
+ */
+function renderList(lines, rows, start, ctx, out) {
+  const first = LIST_ITEM.exec(lines[start]);
+  const ordered = /\d/.test(first[2]);
+  const indent = first[1].length;
+  const items = []; // each: lines of the item's content (marker/indent removed) + their rows
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const m = LIST_ITEM.exec(line);
+    if (m && m[1].length === indent && /\d/.test(m[2]) === ordered) {
+      // Next item; its content lines are indented past the marker.
+      const offset = m[1].length + m[2].length + Math.max(1, m[3].length);
+      items.push({ offset, lines: [m[4]], rows: [rows[i]] });
+      i++;
+      continue;
+    }
+
+    const item = items[items.length - 1];
+    const add = (text) => {
+      item.lines.push(text);
+      item.rows.push(rows[i]);
+      i++;
+    };
+    if (!line.trim()) {
+      // A blank line continues the list only if more of it follows.
+      const next = lines.slice(i + 1).find((l) => l.trim());
+      const nextItem = next && LIST_ITEM.exec(next);
+      const continues =
+        next !== undefined &&
+        (leadingSpaces(next) >= item.offset ||
+          (nextItem && nextItem[1].length === indent && /\d/.test(nextItem[2]) === ordered));
+      if (!continues) break;
+      loose = true;
+      add('');
+    } else if (leadingSpaces(line) >= item.offset) {
+      add(line.slice(item.offset));
+    } else if (leadingSpaces(line) > indent && LIST_ITEM.test(line)) {
+      // Nested list indented less than the content: still belongs to this item.
+      add(line.slice(indent + 1));
+    } else if (!startsBlock(line) && item.lines[item.lines.length - 1].trim()) {
+      add(line.trim()); // lazy continuation of the item's paragraph
+    } else {
+      break;
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const number = ordered ? parseInt(first[2], 10) : 1;
+  const startAttr = number !== 1 ? ` start="${number}"` : '';
+  const body = items.map((item) => renderItem(item.lines, item.rows, ctx, !loose)).join('\n');
+  out.push(`<${tag}${startAttr}>\n${body}\n</${tag}>`);
+  return i;
+}
+
+/**
+ * One list item; a leading "[ ]"/"[x]" becomes a checkbox.
+ * @param {string[]} lines - the item's content lines
+ * @param {number[]} rows  - their line numbers in the note
+ * @param {RenderContext} ctx
+ * @param {boolean} tight
+ * @returns {string}
+ */
+function renderItem(lines, rows, ctx, tight) {
+  const task = lines[0].match(TASK_BOX);
+  if (!task) return `<li>${renderBlocks(lines, rows, ctx, tight)}</li>`;
+
+  const index = ctx.tasks++;
+  const checked = task[1] !== ' ';
+  ctx.found?.push({ line: rows[0], checked, text: lines[0].slice(task[0].length).trim() });
+  // The label (checkbox + first paragraph) makes the text clickable; nested
+  // lists etc. follow outside it, so labels never nest.
+  const rest = [lines[0].slice(task[0].length), ...lines.slice(1)];
+  let end = 1;
+  while (end < rest.length && rest[end].trim() && !startsBlock(rest[end])) end++;
+  const text = renderInline(
+    rest
+      .slice(0, end)
+      .map((l) => l.trim())
+      .join('\n'),
+    ctx
+  );
+  const more = renderBlocks(rest.slice(end), rows.slice(end), ctx, tight);
+  const box = `<input type="checkbox" data-task="${index}"${checked ? ' checked' : ''}>`;
+  return `<li class="task${checked ? ' done' : ''}"><label>${box} <span>${text.replace(/\n/g, '<br>\n')}</span></label>${more}</li>`;
+}
+
+/**
+ * Render the table starting at `lines[start]` (header row + separator row);
+ * pushes the HTML to `out`.
+ * @returns {number} index of the first line after the table
+ */
+function renderTable(lines, start, ctx, out) {
+  const header = splitRow(lines[start]);
+  const align = splitRow(lines[start + 1]).map((cell) => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+  });
+  const cell = (tag, text, col) => {
+    const style = align[col] ? ` style="text-align: ${align[col]}"` : '';
+    return `<${tag}${style}>${renderInline(text, ctx)}</${tag}>`;
+  };
+
+  const rows = [];
+  let i = start + 2;
+  for (; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) {
+    const cells = splitRow(lines[i]);
+    rows.push(`<tr>${header.map((_, col) => cell('td', cells[col] ?? '', col)).join('')}</tr>`);
+  }
+
+  out.push(
+    `<div class="md-table"><table>` +
+      `<thead><tr>${header.map((text, col) => cell('th', text, col)).join('')}</tr></thead>` +
+      `<tbody>${rows.join('')}</tbody>` +
+      `</table></div>`
+  );
+  return i;
+}
+
+/** Cells of a table row ("| a | b |" → ['a', 'b']; "\|" is a literal pipe). */
+function splitRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((c) => c.trim().replace(/\\\|/g, '|'));
+}
+
+function leadingSpaces(line) {
+  return line.match(/^ */)[0].length;
+}
+
+/**
+ * A link target, or null if it must not become a link.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function safeUrl(url) {
+  // Browsers ignore control characters and whitespace in URLs ("java\tscript:").
+  const clean = url.replace(/[\u0000-\u0020\u007f]/g, '');
+  if (!clean) return null;
+  const scheme = clean.match(/^[a-z][a-z\d+.-]*:/i);
+  return scheme && !SAFE_SCHEME.test(clean) ? null : clean;
+}
+
+/** <a> for a checked URL (opens in a new tab, no referrer/opener). */
+function link(url, innerHtml, title) {
+  const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+  return `<a href="${escapeHtml(url)}"${titleAttr} target="_blank" rel="noopener noreferrer">${innerHtml}</a>`;
+}
+
+const CODE_SPAN = /^(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/;
+/** What follows a link's "[label]": "(url)", "(<url>)", '(url "title")'. */
+const LINK_TARGET = /^\(\s*(<[^>\n]*>|[^\s)]+)(?:\s+"([^"\n]*)")?\s*\)/;
+/** Longest "(url "title")" part looked at; longer ones stay plain text. */
+const MAX_LINK_TARGET = 2048;
+const ANGLE_LINK = /^<((?:https?|mailto):[^\s<>]+)>/i;
+const BARE_URL = /^https?:\/\/[^\s<]*[^\s<.,;:!?"')\]]/i;
+
+/**
+ * Render a single line of inline Markdown (no blocks), e.g. a task's text.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.terms=[]] - search terms to <mark>
+ * @param {(title: string) => boolean} [options.linkExists] - see renderMarkdown()
+ * @returns {string} sanitized HTML
+ */
+export function renderInlineMarkdown(text, { terms = [], linkExists = () => true } = {}) {
+  return renderInline(String(text ?? ''), { terms, linkExists, tasks: 0 });
+}
+
+/**
+ * Render inline Markdown; all text runs are escaped and search-highlighted.
+ * @param {string} text
+ * @param {RenderContext} ctx
+ * @returns {string}
+ */
+function renderInline(text, ctx) {
+  const { terms } = ctx;
+  let html = '';
+  let run = ''; // plain text not yet emitted
+  const flush = () => {
+    html += highlightText(run, terms);
+    run = '';
+  };
+  // "_" only emphasizes at word boundaries, so snake_case_names stay as they are.
+  const isWord = (ch) => ch !== undefined && /[\p{L}\p{N}]/u.test(ch);
+  const emphasis = emphasisMatcher(text);
+  const linkAt = linkMatcher(text);
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const rest = text.slice(i);
+    let m;
+
+    if (ch === '\\' && ESCAPABLE.test(text[i + 1] ?? '')) {
+      run += text[i + 1];
+      i += 2;
+      continue;
+    }
+    if (ch === '`' && (m = rest.match(CODE_SPAN))) {
+      flush();
+      html += `<code>${highlightText(m[2].replace(/\n/g, ' '), terms)}</code>`;
+      i += m[0].length;
+      continue;
+    }
+    if (ch === '[' && (m = rest.match(WIKI_LINK_AT))) {
+      // [[Note title]] / [[Note title|label]]: a button, app.js opens (or offers to create) the note.
+      flush();
+      const target = m[1].trim();
+      const missing = !ctx.linkExists(target);
+      const title = missing ? `„${target}“ anlegen` : target;
+      html += `<button type="button" class="wikilink${missing ? ' missing' : ''}" data-wikilink="${escapeHtml(target)}" title="${escapeHtml(title)}">${highlightText((m[2] ?? m[1]).trim(), terms)}</button>`;
+      i += m[0].length;
+      continue;
+    }
+    if (ch === '[' && (m = linkAt(i))) {
+      const url = safeUrl(m[2].replace(/^<|>$/g, ''));
+      if (url) {
+        flush();
+        html += link(url, renderInline(m[1], ctx), m[3]);
+        i += m[0].length;
+        continue;
+      }
+    }
+    if (ch === '<' && (m = rest.match(ANGLE_LINK))) {
+      flush();
+      html += link(m[1], highlightText(m[1], terms));
+      i += m[0].length;
+      continue;
+    }
+    if ((ch === 'h' || ch === 'H') && !isWord(text[i - 1]) && (m = rest.match(BARE_URL))) {
+      flush();
+      html += link(m[0], highlightText(m[0], terms));
+      i += m[0].length;
+      continue;
+    }
+    if ((ch === '*' || ch === '_') && (m = emphasis(ch + ch, i) || emphasis(ch, i))) {
+      if (ch === '*' || (!isWord(text[i - 1]) && !isWord(text[i + m[0].length]))) {
+        flush();
+        const tag = m[1].length === 2 ? 'strong' : 'em';
+        html += `<${tag}>${renderInline(m[2], ctx)}</${tag}>`;
+        i += m[0].length;
+        continue;
+      }
+    }
+
+    run += ch;
+    i++;
+  }
+  flush();
+  return html;
+}
+
+/**
+ * Emphasis in `text`: returns (delim, start) => [match, delim, inner] for "**a**",
+ * "_a_" etc. opening at `start`, or null. The inner text starts with a non-space;
+ * the closing delimiter is the first one after it that follows a non-space (a
+ * single one not followed by another). Where each delimiter could close next is
+ * looked up in a table built once per text: scanning ahead at every "*" or "_"
+ * made long paragraphs full of unclosed delimiters quadratic.
+ *
+ * @param {string} text
+ * @returns {(delim: string, start: number) => string[]|null}
+ */
+function emphasisMatcher(text) {
+  const tables = new Map(); // delim → next closing index at or after each position (-1: none)
+  const nextCloser = (delim) => {
+    if (tables.has(delim)) return tables.get(delim);
+    const c = delim[0];
+    const next = new Int32Array(text.length + 2).fill(-1);
+    for (let q = text.length - 1; q >= 1; q--) {
+      const closes =
+        text[q] === c &&
+        /\S/.test(text[q - 1]) &&
+        (delim.length === 2 ? text[q + 1] === c : text[q + 1] !== c);
+      next[q] = closes ? q : next[q + 1];
+    }
+    tables.set(delim, next);
+    return next;
+  };
+
+  return (delim, start) => {
+    const from = start + delim.length; // first character of the inner text
+    if (!text.startsWith(delim, start) || !/\S/.test(text[from] ?? '')) return null;
+    const end = nextCloser(delim)[from + 1] ?? -1;
+    if (end === -1) return null;
+    return [text.slice(start, end + delim.length), delim, text.slice(from, end)];
+  };
+}
+
+/**
+ * Links in `text`: returns start => [match, label, url, title] for a
+ * "[label](url "title")" starting there, or null. The label runs to the first
+ * "]" not escaped by a backslash. Where that is, and whether a backslash before
+ * it breaks the label (escaping a line break), is looked up in tables built once
+ * per text, and the "(url)" part after each "]" is matched only once: trying the
+ * whole pattern at every "[" made texts full of unclosed brackets quadratic.
+ *
+ * @param {string} text
+ * @returns {(start: number) => string[]|null}
+ */
+function linkMatcher(text) {
+  let tables = null; // built at the first "["
+  const targets = new Map(); // index of "]" → LINK_TARGET match after it (or null)
+
+  const build = () => {
+    const n = text.length;
+    const nextClose = new Int32Array(n + 1).fill(-1); // unescaped "]" at or after i
+    const nextBad = new Int32Array(n + 1).fill(-1); // "\" + line break at or after i
+    const close = new Uint8Array(n);
+    const bad = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+      if (text[i] === '\\') {
+        bad[i] = /[\n\r\u2028\u2029]/.test(text[i + 1] ?? '\n') ? 1 : 0;
+        i++; // the escaped character
+      } else if (text[i] === ']') {
+        close[i] = 1;
+      }
+    }
+    for (let i = n - 1; i >= 0; i--) {
+      nextClose[i] = close[i] ? i : nextClose[i + 1];
+      nextBad[i] = bad[i] ? i : nextBad[i + 1];
+    }
+    return { nextClose, nextBad };
+  };
+
+  return (start) => {
+    tables ??= build();
+    const end = tables.nextClose[start + 1];
+    if (end <= start + 1 || text[end + 1] !== '(') return null; // no or empty label
+    const bad = tables.nextBad[start + 1];
+    if (bad !== -1 && bad < end) return null;
+
+    if (!targets.has(end)) {
+      targets.set(end, text.slice(end + 1, end + 1 + MAX_LINK_TARGET).match(LINK_TARGET));
+    }
+    const target = targets.get(end);
+    if (!target) return null;
+    return [
+      text.slice(start, end + 1) + target[0],
+      text.slice(start + 1, end),
+      target[1],
+      target[2],
+    ];
+  };
+}
@@ -0,0 +1,117 @@
+// migrations.js
+// Versioned schema migrations + validation for persisted notes
+// -------------------------------------------------
+// Every stored record carries `schemaVersion` (records written before this
+// existed count as version 1). On load, each record is upgraded step by step
+// through MIGRATIONS up to SCHEMA_VERSION and then validated against the Note
+// typedef (see app.js). Records that cannot be upgraded or fail validation are
+// reported separately so the caller can quarantine them instead of dropping them.
+//
+// Adding a version:
+// 1) Bump SCHEMA_VERSION.
+// 2) Add MIGRATIONS[<old version>] = (record) => upgradedRecord.
+//    Steps must be pure and must not assume fields added by later steps.
+
+import { toMs } from './api.js';
+
+/** Current schema version written by saveNotes(). */
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Upgrade steps, keyed by the version they upgrade FROM.
+ * @type {Record<number, (record: any) => any>}
+ */
+const MIGRATIONS = {
+  // v1 → v2: v1 stored whatever the UI/API produced, unvalidated. Normalize the
+  // loosely typed fields: numeric ids, missing `pinned`, second-based or ISO timestamps.
+  1: (n) => {
+    const createdAt = toMs(n.createdAt) ?? toMs(n.updatedAt);
+    return {
+      ...n,
+      id: n.id === undefined || n.id === null ? n.id : String(n.id),
+      pinned: Boolean(n.pinned),
+      createdAt,
+      updatedAt: toMs(n.updatedAt) ?? createdAt,
+    };
+  },
+};
+
+/**
+ * Check a record against the Note typedef.
+ * @param {any} n
+ * @returns {string[]} problems found (empty = valid)
+ */
+export function validateNote(n) {
+  if (!n || typeof n !== 'object' || Array.isArray(n)) return ['not an object'];
+
+  const problems = [];
+  if (typeof n.id !== 'string' || n.id === '') problems.push('id must be a non-empty string');
+  if (typeof n.title !== 'string') problems.push('title must be a string');
+  if (typeof n.content !== 'string') problems.push('content must be a string');
+  if (typeof n.pinned !== 'boolean') problems.push('pinned must be a boolean');
+  if (!Number.isFinite(n.createdAt)) problems.push('createdAt must be a timestamp');
+  if (!Number.isFinite(n.updatedAt)) problems.push('updatedAt must be a timestamp');
+  return problems;
+}
+
+/**
+ * Upgrade one stored record to SCHEMA_VERSION.
+ * @param {any} record
+ * @returns {any} upgraded record (without `schemaVersion`)
+ * @throws {Error} if the record is from a newer app version or a step fails
+ */
+function migrateRecord(record) {
+  const { schemaVersion = 1, ...note } = record;
+  if (!Number.isInteger(schemaVersion) || schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`unsupported schemaVersion ${schemaVersion}`);
+  }
+
+  let current = note;
+  for (let v = schemaVersion; v < SCHEMA_VERSION; v++) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`no migration from version ${v}`);
+    current = step(current);
+  }
+  return current;
+}
+
+/**
+ * Upgrade and validate a batch of stored records.
+ *
+ * @param {Array<any>} records - raw records as read from the store
+ * @returns {{
+ *   notes: import('./app.js').Note[],
+ *   upgraded: Array<{ record: any, note: import('./app.js').Note }>,
+ *   rejected: Array<{ record: any, reason: string }>
+ * }}
+ *   `notes`: all valid notes; `upgraded`: records that changed version and should be
+ *   written back (the raw record is kept, since its key may differ, e.g. numeric id);
+ *   `rejected`: records to quarantine, with a human-readable reason.
+ */
+export function upgradeRecords(records) {
+  const notes = [];
+  const upgraded = [];
+  const rejected = [];
+
+  for (const record of records) {
+    let note;
+    try {
+      if (!record || typeof record !== 'object') throw new Error('not an object');
+      note = migrateRecord(record);
+    } catch (err) {
+      rejected.push({ record, reason: err.message });
+      continue;
+    }
+
+    const problems = validateNote(note);
+    if (problems.length > 0) {
+      rejected.push({ record, reason: problems.join('; ') });
+      continue;
+    }
+
+    notes.push(note);
+    if (record.schemaVersion !== SCHEMA_VERSION) upgraded.push({ record, note });
+  }
+
+  return { notes, upgraded, rejected };
+}
@@ -0,0 +1,47 @@
+// mode.js
+// Sync mode setting: local-only / backend / auto
+// -------------------------------------------------
+// Decides whether the app talks to the backend at all:
+// - 'local'   → standalone: notes live only in this browser (storage.js),
+//               no API requests, no status badge, no Refresh button. Changes
+//               still go to the outbox, so a later switch uploads them.
+// - 'backend' → the server is the source of truth: changes are sent right away
+//               and fail while it is unreachable (nothing is queued).
+// - 'auto'    → use the backend when reachable, otherwise keep working locally
+//               and queue changes in the outbox (outbox.js) until it is back.
+//
+// The user's choice is persisted in localStorage. Without one, a deployment can
+// preset the mode via <meta name="mini-notes-mode" content="local">
+// (e.g. static hosting without a backend); otherwise 'auto'.
+
+/** Storage key for the user's explicit mode choice. */
+const MODE_KEY = 'mini-notes.mode'; // 'local' | 'backend' | 'auto'; null => default
+
+/** @typedef {'local'|'backend'|'auto'} SyncMode */
+
+/** All valid modes (in the order they are offered in the UI). */
+export const MODES = ['auto', 'local', 'backend'];
+
+const isMode = (value) => MODES.includes(value);
+
+/**
+ * The mode to run in: explicit choice, else the deployment default, else 'auto'.
+ * @returns {SyncMode}
+ */
+export function loadMode() {
+  const stored = localStorage.getItem(MODE_KEY);
+  if (isMode(stored)) return stored;
+
+  const preset = document.querySelector('meta[name="mini-notes-mode"]')?.getAttribute('content');
+  return isMode(preset) ? preset : 'auto';
+}
+
+/**
+ * Persist an explicit mode choice.
+ * @param {SyncMode} mode
+ * @returns {void}
+ */
+export function saveMode(mode) {
+  if (!isMode(mode)) throw new Error(`Unknown mode: ${mode}`);
+  localStorage.setItem(MODE_KEY, mode);
+}
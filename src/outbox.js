@@ -0,0 +1,208 @@
+// outbox.js
+// Persisted queue of note changes made while the API is offline
+// -------------------------------------------------
+// When the backend is unreachable, create/update/delete actions are not lost:
+// they are appended to an "outbox" in localStorage and replayed in order once
+// the API comes back (see replayOutbox()).
+//
+// Design notes:
+// - Each entry is a plain, JSON-serializable operation:
+//     { type: 'create' | 'update' | 'delete', id, payload, queuedAt }
+// - Notes created offline carry a temporary client ID (generateId()). When the
+//   server assigns the real ID during replay, all later operations are remapped.
+// - Redundant work is coalesced at enqueue time (e.g. create + delete of the
+//   same offline note cancels out), so the replay stays short.
+// - Only one tab replays at a time (a Web Lock); without it two tabs would send
+//   the same queued creates twice. While a replay has the head entry in flight,
+//   a marker in localStorage tells enqueue() in every tab to leave it alone.
+//   A tab that crashes mid-replay leaves that marker behind; the next tab to get
+//   the lock without replaying removes it (clearStaleInFlight()).
+
+/** Storage key for the pending operations. */
+const OUTBOX_KEY = 'mini-notes.outbox';
+
+/** Storage key set while a replay (in any tab) has the head entry in flight. */
+const IN_FLIGHT_KEY = 'mini-notes.outbox-in-flight';
+
+/** Web Lock held by the tab that replays the outbox. */
+const REPLAY_LOCK = 'mini-notes.outbox-replay';
+
+// Guard against overlapping replays in this tab (health check tick + manual refresh).
+let replaying = false;
+
+/**
+ * @typedef {Object} OutboxOp
+ * @property {'create'|'update'|'delete'} type  - Which API call to replay
+ * @property {string}  id        - Note id (temporary client id for offline creates)
+ * @property {Object}  [payload] - Fields to send ({ title, content, pinned })
+ * @property {number}  queuedAt  - Unix ms timestamp when the change was queued
+ */
+
+/**
+ * Read the outbox from localStorage.
+ * Falls back to an empty queue if nothing is stored or the JSON is corrupt.
+ *
+ * @returns {OutboxOp[]}
+ */
+export function loadOutbox() {
+  try {
+    const ops = JSON.parse(localStorage.getItem(OUTBOX_KEY));
+    return Array.isArray(ops) ? ops : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist the outbox (removes the key when the queue is empty).
+ *
+ * @param {OutboxOp[]} ops
+ * @returns {void}
+ */
+function saveOutbox(ops) {
+  if (ops.length === 0) localStorage.removeItem(OUTBOX_KEY);
+  else localStorage.setItem(OUTBOX_KEY, JSON.stringify(ops));
+}
+
+/**
+ * Queue a change for later replay.
+ *
+ * Coalescing rules (keep the queue minimal, order preserved otherwise):
+ * - update after update of the same note → payloads are merged into the earlier entry
+ * - delete of a note that was created offline → all its entries are dropped
+ * - delete of a server note → pending updates for it are dropped
+ *
+ * @param {Omit<OutboxOp, 'queuedAt'>} op
+ * @returns {void}
+ */
+export function enqueue(op) {
+  let ops = loadOutbox();
+  const entry = { ...op, queuedAt: Date.now() };
+  // While a replay runs, the head entry is in flight and must not be touched.
+  const inFlight = (i) => i === 0 && (replaying || localStorage.getItem(IN_FLIGHT_KEY) !== null);
+
+  if (op.type === 'update') {
+    const i = ops.findLastIndex((o) => o.id === op.id);
+    const last = ops[i];
+    if (last?.type === 'update' && !inFlight(i)) {
+      last.payload = { ...last.payload, ...op.payload };
+      last.queuedAt = entry.queuedAt;
+      saveOutbox(ops);
+      return;
+    }
+  }
+
+  if (op.type === 'delete') {
+    const createdOffline = ops.some(
+      (o, i) => o.id === op.id && o.type === 'create' && !inFlight(i)
+    );
+    ops = ops.filter((o, i) => o.id !== op.id || inFlight(i));
+    if (createdOffline) {
+      // The server never saw this note → nothing to delete remotely.
+      saveOutbox(ops);
+      return;
+    }
+  }
+
+  ops.push(entry);
+  saveOutbox(ops);
+}
+
+/**
+ * IDs of all notes that still have unsynced changes.
+ *
+ * @returns {Set<string>}
+ */
+export function pendingIds() {
+  return new Set(loadOutbox().map((o) => o.id));
+}
+
+/**
+ * Number of queued operations (used for the status badge).
+ *
+ * @returns {number}
+ */
+export function pendingCount() {
+  return loadOutbox().length;
+}
+
+/**
+ * Replay queued operations in order against the API.
+ *
+ * - Stops at the first failure and keeps the remaining entries for the next attempt.
+ * - After a successful create, later entries for the temporary id are rewritten
+ *   to the server-assigned id before they are sent.
+ * - The queue is persisted after every step, so a reload mid-replay is safe.
+ * - Does nothing while another tab is replaying (it empties the same queue).
+ *
+ * @param {Object}   handlers
+ * @param {(payload: Object) => Promise<Object|null>}             handlers.create  - e.g. createNoteViaApi
+ * @param {(id: string, payload: Object) => Promise<Object|null>} handlers.update  - e.g. updateNoteViaApi
+ * @param {(id: string) => Promise<boolean>}                      handlers.remove  - e.g. deleteNoteViaApi
+ * @param {(op: OutboxOp, result: any) => void}                   [handlers.onSynced]
+ *   Called after each successful step with the replayed op (still carrying the id it was
+ *   queued with) and the API result, so callers can swap temporary ids in their state.
+ * @returns {Promise<{ synced: number, remaining: number }>}
+ */
+export async function replayOutbox(handlers) {
+  const busy = () => ({ synced: 0, remaining: pendingCount() });
+  if (replaying) return busy();
+  // Browsers without Web Locks: fall back to the per-tab guard.
+  if (!navigator.locks) return replay(handlers);
+  return navigator.locks.request(REPLAY_LOCK, { ifAvailable: true }, (lock) =>
+    lock ? replay(handlers) : busy()
+  );
+}
+
+/**
+ * Remove an in-flight marker left by a tab that crashed or was closed mid-replay
+ * (its finally never ran). Only the lock holder sets the marker, so if this tab
+ * gets the lock and is not replaying itself, no replay is running anywhere.
+ * Without Web Locks that cannot be told, and the marker stays until the next replay.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearStaleInFlight() {
+  if (!navigator.locks || localStorage.getItem(IN_FLIGHT_KEY) === null) return;
+  await navigator.locks.request(REPLAY_LOCK, { ifAvailable: true }, (lock) => {
+    if (lock && !replaying) localStorage.removeItem(IN_FLIGHT_KEY);
+  });
+}
+
+/** replayOutbox() once this tab may replay. */
+async function replay({ create, update, remove, onSynced }) {
+  replaying = true;
+  localStorage.setItem(IN_FLIGHT_KEY, String(Date.now()));
+
+  let synced = 0;
+  try {
+    let ops = loadOutbox();
+    while (ops.length > 0) {
+      const op = ops[0];
+      let result;
+
+      if (op.type === 'create') result = await create(op.payload);
+      else if (op.type === 'update') result = await update(op.id, op.payload);
+      else if (op.type === 'delete') result = await remove(op.id);
+
+      if (!result) break; // keep this and all following ops for the next attempt
+
+      // Re-read: the user may have queued more changes while we were waiting.
+      // enqueue() never touches the in-flight head, so it is still ops[0].
+      ops = loadOutbox().slice(1);
+
+      if (op.type === 'create' && String(result.id) !== op.id) {
+        const serverId = String(result.id);
+        ops = ops.map((o) => (o.id === op.id ? { ...o, id: serverId } : o));
+      }
+
+      saveOutbox(ops);
+      synced++;
+      onSynced?.(op, result);
+    }
+    return { synced, remaining: ops.length };
+  } finally {
+    replaying = false;
+    localStorage.removeItem(IN_FLIGHT_KEY);
+  }
+}
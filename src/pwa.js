@@ -0,0 +1,70 @@
+// pwa.js
+// Service worker registration + "update available" prompt
+// -------------------------------------------------
+// Registers ../sw.js (offline app shell, see there) and watches for a new
+// version of it. A new worker waits until the user clicks "Neu laden" in the
+// update banner; then it takes over and the page reloads once.
+//
+// Design notes:
+// - No-op where service workers are unsupported or the page is not served
+//   from a secure context (http://localhost counts as secure).
+// - The banner markup lives in index.html (#update-banner).
+
+/**
+ * Show the update banner; clicking reload activates `worker`.
+ * @param {ServiceWorker} worker - the installed, waiting service worker
+ */
+function promptUpdate(worker) {
+  const banner = document.getElementById('update-banner');
+  const reloadBtn = document.getElementById('update-reload');
+  if (!banner || !reloadBtn) return;
+
+  banner.hidden = false;
+  reloadBtn.addEventListener(
+    'click',
+    () => {
+      reloadBtn.disabled = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    },
+    { once: true }
+  );
+}
+
+/**
+ * Register the service worker and wire up the update prompt.
+ * @returns {Promise<void>}
+ */
+export async function initPwa() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(new URL('../sw.js', import.meta.url));
+  } catch (err) {
+    console.warn('[PWA] Service worker registration failed:', err);
+    return;
+  }
+
+  // The first install has nothing to replace; only later versions need a prompt.
+  const hadController = Boolean(navigator.serviceWorker.controller);
+
+  // A new version may already be waiting from an earlier visit.
+  if (registration.waiting && hadController) promptUpdate(registration.waiting);
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        promptUpdate(worker);
+      }
+    });
+  });
+
+  // The new worker took over (after SKIP_WAITING) → load the new shell once.
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+}
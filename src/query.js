@@ -0,0 +1,313 @@
+// query.js
+// Search query language: parser + syntax errors
+// -------------------------------------------------
+// Turns the search box input into an expression tree that search.js evaluates
+// against its index. Supported syntax:
+//
+//   meeting notes          both words (implicit AND)
+//   "project plan"         exact phrase
+//   #work   -#done         tag required / excluded (#work also finds #work/clientA)
+//   -draft  -(a OR b)      excluded (any term or group can be negated with "-")
+//   work OR home           either side (AND binds tighter than OR)
+//   (a OR b) c             grouping
+//   title:plan  content:"next steps"
+//   is:pinned              pinned notes only (-is:pinned: not pinned)
+//   updated:>2026-01-01    after that day (>, >=, <, <=, or no operator = that day)
+//   created:<7d            created less than 7 days ago (units: h, d, w, y)
+//
+// Design notes:
+// - parseSearch() never throws: syntax problems are returned as `errors`
+//   (user-facing German messages with the offending position), so the UI can
+//   show them inline instead of quietly matching nothing.
+// - Words stay lower-case "terms"; search.js decides how they match tokens.
+// - No dependencies, so utils.js (highlighting) can use it too.
+
+/**
+ * @typedef {(
+ *   { type: 'and' | 'or', children: QueryNode[] } |
+ *   { type: 'not', child: QueryNode } |
+ *   { type: 'text', value: string, phrase: boolean, field: 'any' | 'title' | 'content' } |
+ *   { type: 'tag', tag: string } |
+ *   { type: 'pinned' } |
+ *   { type: 'date', field: 'createdAt' | 'updatedAt', op: DateOp, at?: [number, number], age?: number }
+ * )} QueryNode
+ * `date`: either an absolute range `at` ([start, end) in Unix ms; start === end for an
+ * exact instant) or a relative `age` in ms, resolved against "now" by search.js.
+ */
+
+/** @typedef {'>' | '>=' | '<' | '<=' | '='} DateOp */
+
+/**
+ * @typedef {Object} QueryError
+ * @property {string} message  - user-facing description (German, like the UI)
+ * @property {number} at       - character offset in the query
+ */
+
+/** Same tag alphabet as extractTags() in utils.js (Unicode letters, nested with '/'). */
+const TAG_RE = /^#([\p{L}\p{N}_-]{2,24}(?:\/[\p{L}\p{N}_-]{1,24}){0,4})$/u;
+const FIELDS = ['title', 'content', 'is', 'updated', 'created'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_MS = { h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS, y: 365 * DAY_MS };
+
+// ===== Lexer =====
+
+/**
+ * @typedef {Object} Token
+ * @property {'word'|'phrase'|'or'|'lparen'|'rparen'} kind
+ * @property {string}  value    - word text / phrase content (field prefix included for words)
+ * @property {boolean} negated  - written with a leading "-"
+ * @property {number}  at       - offset in the query
+ */
+
+/**
+ * Split the query into tokens.
+ * @param {string} q
+ * @param {QueryError[]} errors - receives lexer errors
+ * @returns {Token[]}
+ */
+function lex(q, errors) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < q.length) {
+    const c = q[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    const at = i;
+    const negated = c === '-' && i + 1 < q.length && !/[\s)]/.test(q[i + 1]);
+    if (negated) i++;
+
+    if (q[i] === '(' || q[i] === ')') {
+      tokens.push({ kind: q[i] === '(' ? 'lparen' : 'rparen', value: q[i], negated, at });
+      i++;
+      continue;
+    }
+
+    if (q[i] === '"') {
+      const end = q.indexOf('"', i + 1);
+      if (end < 0) {
+        errors.push({ message: 'Anführungszeichen wird nicht geschlossen.', at });
+        tokens.push({ kind: 'phrase', value: q.slice(i + 1), negated, at });
+        break;
+      }
+      tokens.push({ kind: 'phrase', value: q.slice(i + 1, end), negated, at });
+      i = end + 1;
+      continue;
+    }
+
+    // A word runs until whitespace/parenthesis; field values may be quoted (title:"a b").
+    let j = i;
+    while (j < q.length && !/[\s()]/.test(q[j])) {
+      if (q[j] === '"' && q[j - 1] === ':') {
+        const end = q.indexOf('"', j + 1);
+        if (end < 0) {
+          errors.push({ message: 'Anführungszeichen wird nicht geschlossen.', at: j });
+          j = q.length;
+          break;
+        }
+        j = end + 1;
+        continue;
+      }
+      j++;
+    }
+    const value = q.slice(i, j);
+    if (value === '' || value === '-') {
+      errors.push({ message: '„-“ muss direkt vor einem Suchbegriff stehen.', at });
+    } else if (value === 'OR' && !negated) {
+      tokens.push({ kind: 'or', value, negated: false, at });
+    } else {
+      tokens.push({ kind: 'word', value, negated, at });
+    }
+    i = Math.max(j, i + 1);
+  }
+  return tokens;
+}
+
+// ===== Terms =====
+
+/**
+ * Parse an absolute date or a relative age ("7d").
+ * @returns {{ at: [number, number] } | { age: number } | null}
+ */
+function parseDateValue(text) {
+  const rel = text.match(/^(\d+)([hdwy])$/i);
+  if (rel) return { age: Number(rel[1]) * UNIT_MS[rel[2].toLowerCase()] };
+
+  const day = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (day) {
+    // Local midnight; reject dates JS would silently roll over (2026-02-31).
+    const date = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]));
+    if (date.getMonth() !== Number(day[2]) - 1) return null;
+    const start = date.getTime();
+    return { at: [start, start + DAY_MS] };
+  }
+
+  // Full timestamps only in ISO form (Date.parse alone accepts almost anything).
+  const t = /^\d{4}-\d{2}-\d{2}T/.test(text) ? Date.parse(text) : NaN;
+  return Number.isFinite(t) ? { at: [t, t] } : null;
+}
+
+/**
+ * Turn one word/phrase token into a node (or record an error and return null).
+ * @param {Token} token
+ * @param {QueryError[]} errors
+ * @returns {QueryNode|null}
+ */
+function termNode(token, errors) {
+  const { value, at } = token;
+  if (token.kind === 'phrase') {
+    const phrase = value.trim().toLowerCase();
+    if (!phrase) errors.push({ message: 'Leere Phrase „""“.', at });
+    return phrase ? { type: 'text', value: phrase, phrase: true, field: 'any' } : null;
+  }
+
+  const tag = value.match(TAG_RE);
+  if (tag) return { type: 'tag', tag: tag[1].normalize('NFC').toLowerCase() };
+
+  const field = value.match(/^([a-z]+):(.*)$/i);
+  // "http://…" and a trailing colon of an unknown word ("todo:") stay plain text.
+  const known = field && FIELDS.includes(field[1].toLowerCase());
+  if (!field || field[2].startsWith('//') || (!known && !field[2])) {
+    return { type: 'text', value: value.toLowerCase(), phrase: false, field: 'any' };
+  }
+
+  const name = field[1].toLowerCase();
+  const raw = field[2];
+  if (!known) {
+    errors.push({
+      message: `Unbekannter Filter „${field[1]}:“ (möglich: ${FIELDS.map((f) => f + ':').join(', ')}).`,
+      at,
+    });
+    return null;
+  }
+  if (!raw) {
+    errors.push({ message: `Nach „${name}:“ fehlt ein Wert.`, at });
+    return null;
+  }
+
+  if (name === 'title' || name === 'content') {
+    const quoted = raw.startsWith('"');
+    const text = (quoted ? raw.replace(/^"|"$/g, '') : raw).trim().toLowerCase();
+    if (!text) {
+      errors.push({ message: `Nach „${name}:“ fehlt ein Wert.`, at });
+      return null;
+    }
+    return { type: 'text', value: text, phrase: quoted, field: name };
+  }
+
+  if (name === 'is') {
+    if (raw.toLowerCase() === 'pinned') return { type: 'pinned' };
+    errors.push({ message: `„is:${raw}“ wird nicht unterstützt (nur is:pinned).`, at });
+    return null;
+  }
+
+  // updated: / created:
+  const m = raw.match(/^(>=|<=|>|<|=)?(.+)$/);
+  const date = parseDateValue(m[2]);
+  if (!date) {
+    errors.push({
+      message: `Ungültiges Datum „${m[2]}“ – z. B. 2026-01-31 oder 7d (h, d, w, y).`,
+      at,
+    });
+    return null;
+  }
+  return {
+    type: 'date',
+    field: name === 'updated' ? 'updatedAt' : 'createdAt',
+    op: /** @type {DateOp} */ (m[1] ?? '='),
+    ...date,
+  };
+}
+
+// ===== Parser =====
+
+/**
+ * Parse a search query.
+ *
+ * @param {string} q - raw search box input
+ * @returns {{ ast: QueryNode|null, errors: QueryError[] }}
+ *   `ast` is null for an empty query (= everything matches).
+ *   With errors, `ast` holds what could be parsed; callers should not filter by it.
+ */
+export function parseSearch(q) {
+  const errors = [];
+  const tokens = lex(String(q ?? ''), errors);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+
+  // or := and ('OR' and)*
+  function parseOr() {
+    const children = [];
+    const first = parseAnd();
+    if (first) children.push(first);
+    while (peek()?.kind === 'or') {
+      const or = tokens[pos++];
+      const next = parseAnd();
+      if (!next || children.length === 0) {
+        errors.push({ message: '„OR“ braucht auf beiden Seiten einen Suchbegriff.', at: or.at });
+      }
+      if (next) children.push(next);
+    }
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  // and := unary+   (stops at OR, ")" or the end)
+  function parseAnd() {
+    const children = [];
+    while (pos < tokens.length && peek().kind !== 'or' && peek().kind !== 'rparen') {
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  // unary := ['-'] ( '(' or ')' | term )
+  function parseUnary() {
+    const token = tokens[pos++];
+    let node;
+    if (token.kind === 'lparen') {
+      node = parseOr();
+      if (peek()?.kind === 'rparen') pos++;
+      else errors.push({ message: 'Klammer „(“ wird nicht geschlossen.', at: token.at });
+      if (!node) errors.push({ message: 'Leere Klammern „()“.', at: token.at });
+    } else {
+      node = termNode(token, errors);
+    }
+    if (!node) return null;
+    return token.negated ? { type: 'not', child: node } : node;
+  }
+
+  let ast = parseOr();
+  while (pos < tokens.length) {
+    // Only a stray ")" stops parseOr() early.
+    errors.push({ message: 'Klammer „)“ ohne öffnende „(“.', at: tokens[pos].at });
+    pos++;
+    const rest = parseOr();
+    if (rest) ast = ast ? { type: 'and', children: [ast, rest] } : rest;
+  }
+
+  return { ast, errors };
+}
+
+/**
+ * Positive (not negated) free-text terms and tags of a query, e.g. for highlighting.
+ *
+ * @param {QueryNode|null} ast
+ * @returns {{ terms: string[], tags: string[] }}
+ */
+export function positiveTerms(ast) {
+  const terms = [];
+  const tags = [];
+  (function walk(node) {
+    if (!node) return;
+    if (node.type === 'and' || node.type === 'or') node.children.forEach(walk);
+    else if (node.type === 'text') terms.push(node.value);
+    else if (node.type === 'tag') tags.push(node.tag);
+  })(ast);
+  return { terms: [...new Set(terms)], tags: [...new Set(tags)] };
+}
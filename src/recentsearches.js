@@ -0,0 +1,151 @@
+// recentsearches.js
+// Recent searches: persisted list + dropdown under the search box
+// -------------------------------------------------
+// Remembers the last few searches the user settled on (app.js decides when a
+// query counts as "done", not every keystroke) and offers them in a small
+// dropdown below #search:
+// - Opens when the search box gets focus or is typed in; shows the recent
+//   searches that contain the current input.
+// - ↑/↓ move through the entries, Enter picks one, Escape closes.
+// - Follows the ARIA combobox pattern (input = combobox, list = listbox) so
+//   screen readers announce the highlighted entry.
+
+import { escapeHtml, foldText } from './utils.js';
+
+/** Storage key for the recent searches (JSON array, newest first). */
+const RECENT_KEY = 'mini-notes.recent-searches';
+/** How many searches are kept. */
+const MAX_RECENT = 8;
+
+/**
+ * Read the recent searches, newest first.
+ * @returns {string[]}
+ */
+export function loadRecentSearches() {
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_KEY) ?? '[]');
+    return Array.isArray(list) ? list.filter((q) => typeof q === 'string' && q.trim()) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Put a query on top of the recent searches (moves it up if already there).
+ * @param {string} q
+ * @returns {void}
+ */
+export function rememberSearch(q) {
+  const query = q.trim();
+  if (!query) return;
+  const list = [query, ...loadRecentSearches().filter((r) => r !== query)].slice(0, MAX_RECENT);
+  localStorage.setItem(RECENT_KEY, JSON.stringify(list));
+}
+
+/** Forget all recent searches. */
+export function clearRecentSearches() {
+  localStorage.removeItem(RECENT_KEY);
+}
+
+/**
+ * Wire up the dropdown.
+ *
+ * @param {HTMLInputElement} input   - the search box
+ * @param {HTMLUListElement} listEl  - empty <ul> right after it (the dropdown)
+ * @param {{ onSelect: (query: string) => void, isBusy?: () => boolean }} handlers
+ *   onSelect: a recent search was picked (the input already shows it);
+ *   isBusy: another popup on the input is open (e.g. tag suggestions) → stay closed
+ * @returns {void}
+ */
+export function initRecentSearches(input, listEl, { onSelect, isBusy = () => false }) {
+  if (!input || !listEl) return;
+
+  let entries = []; // queries currently shown
+  let active = -1; // highlighted entry (-1 = none)
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', listEl.id);
+  input.setAttribute('aria-expanded', 'false');
+  listEl.setAttribute('role', 'listbox');
+
+  function close() {
+    listEl.hidden = true;
+    active = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function highlight(index) {
+    active = index;
+    listEl.querySelectorAll('[role="option"]').forEach((el, i) => {
+      el.setAttribute('aria-selected', String(i === index));
+    });
+    if (index >= 0) input.setAttribute('aria-activedescendant', `${listEl.id}-${index}`);
+    else input.removeAttribute('aria-activedescendant');
+  }
+
+  function open() {
+    if (isBusy()) return close();
+    const typed = foldText(input.value.trim());
+    entries = loadRecentSearches().filter(
+      (q) => q !== input.value.trim() && foldText(q).includes(typed)
+    );
+    if (entries.length === 0) return close();
+
+    listEl.innerHTML =
+      entries
+        .map(
+          (q, i) =>
+            `<li role="option" id="${listEl.id}-${i}" aria-selected="false" data-index="${i}">${escapeHtml(q)}</li>`
+        )
+        .join('') +
+      '<li role="presentation" class="recent-clear"><button type="button" tabindex="-1">Verlauf löschen</button></li>';
+    listEl.hidden = false;
+    active = -1;
+    input.setAttribute('aria-expanded', 'true');
+  }
+
+  function pick(index) {
+    const query = entries[index];
+    close();
+    if (query === undefined) return;
+    input.value = query;
+    onSelect(query);
+  }
+
+  input.addEventListener('focus', open);
+  input.addEventListener('input', open);
+  input.addEventListener('blur', close);
+
+  input.addEventListener('keydown', (e) => {
+    if (e.defaultPrevented) return; // handled by another popup
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (listEl.hidden) open();
+      if (entries.length === 0) return;
+      e.preventDefault();
+      // Cycle through the entries and "none" (back to the typed text).
+      const slots = entries.length + 1;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      highlight(((active + 1 + step + slots) % slots) - 1);
+    } else if (e.key === 'Enter' && !listEl.hidden && active >= 0) {
+      e.preventDefault();
+      pick(active);
+    } else if (e.key === 'Escape' && !listEl.hidden) {
+      e.preventDefault();
+      close();
+    }
+  });
+
+  // mousedown instead of click: it runs before the input's blur closes the list.
+  listEl.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+    if (e.target.closest('.recent-clear')) {
+      clearRecentSearches();
+      close();
+      return;
+    }
+    const option = e.target.closest('[role="option"]');
+    if (option) pick(Number(option.dataset.index));
+  });
+}
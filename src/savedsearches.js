@@ -0,0 +1,111 @@
+// savedsearches.js
+// Saved searches ("smart folders"): named queries with persistence
+// -------------------------------------------------
+// A saved search is just a name for a query of the search box
+// ("#inbox -#done", "#meeting updated:<7d"); the list in the sidebar re-runs
+// them on every render for their live match counts (see app.js).
+//
+// Design notes:
+// - Stored as one ordered array in localStorage (small, and the order is the
+//   user's: they can move entries up and down).
+// - sanitizeSavedSearches() is the single validation point for everything that
+//   comes from storage or from an imported backup (backup.js).
+// - Other tabs are told about changes by the browser's `storage` event.
+
+import { generateId } from './utils.js';
+
+/** Storage key for the saved searches (JSON array, user order). */
+const SAVED_KEY = 'mini-notes.saved-searches';
+
+/**
+ * @typedef {Object} SavedSearch
+ * @property {string} id
+ * @property {string} name   - label shown in the list
+ * @property {string} query  - search box input (query.js syntax)
+ */
+
+/**
+ * Keep only well-formed entries (trimmed, non-empty name + query, unique ids).
+ * @param {unknown} list
+ * @returns {SavedSearch[]}
+ */
+export function sanitizeSavedSearches(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const item of list) {
+    const name = typeof item?.name === 'string' ? item.name.trim() : '';
+    const query = typeof item?.query === 'string' ? item.query.trim() : '';
+    const id = item?.id == null ? generateId() : String(item.id);
+    if (!name || !query || seen.has(id)) continue;
+    seen.add(id);
+    result.push({ id, name, query });
+  }
+  return result;
+}
+
+/**
+ * Read the saved searches (empty list if none or unreadable).
+ * @returns {SavedSearch[]}
+ */
+export function loadSavedSearches() {
+  try {
+    return sanitizeSavedSearches(JSON.parse(localStorage.getItem(SAVED_KEY) ?? '[]'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist the saved searches in the given order.
+ * @param {SavedSearch[]} list
+ * @returns {void}
+ */
+export function saveSavedSearches(list) {
+  localStorage.setItem(SAVED_KEY, JSON.stringify(sanitizeSavedSearches(list)));
+}
+
+/**
+ * Create a new entry (not yet persisted).
+ * @param {string} name
+ * @param {string} query
+ * @returns {SavedSearch}
+ */
+export function createSavedSearch(name, query) {
+  return { id: generateId(), name: name.trim(), query: query.trim() };
+}
+
+/**
+ * Combine saved searches from a backup with the current ones: same id → the
+ * imported entry wins; an imported copy of an existing query is skipped; new
+ * entries are appended in the file's order.
+ *
+ * @param {SavedSearch[]} existing
+ * @param {SavedSearch[]} incoming
+ * @returns {SavedSearch[]}
+ */
+export function mergeSavedSearches(existing, incoming) {
+  const byId = new Map(incoming.map((s) => [s.id, s]));
+  const result = existing.map((s) => byId.get(s.id) ?? s);
+  const ids = new Set(result.map((s) => s.id));
+  const queries = new Set(result.map((s) => s.query));
+  for (const s of incoming) {
+    if (ids.has(s.id) || queries.has(s.query)) continue;
+    result.push(s);
+    queries.add(s.query);
+  }
+  return result;
+}
+
+/**
+ * Call `handler` with the new list when another tab changes the saved searches.
+ * @param {(list: SavedSearch[]) => void} handler
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeSavedSearches(handler) {
+  const onStorage = (e) => {
+    if (e.key === SAVED_KEY) handler(loadSavedSearches());
+  };
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+}
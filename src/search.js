@@ -0,0 +1,371 @@
+// search.js
+// Inverted full-text + tag index with relevance ranking
+// -------------------------------------------------
+// Instead of lower-casing and scanning every note (and re-extracting its tags)
+// on each keystroke, notes are tokenized once and kept in an inverted index:
+//   token → (note id → term frequency in title / content)
+//   tag   → note ids (a nested tag is also filed under its parents, so
+//           #work finds notes tagged #work/clientA/billing)
+// Queries then only touch the index and the notes that actually match.
+//
+// Design notes:
+// - Incremental: sync(notes) diffs against the last seen version of every note by
+//   object identity (notes are immutable values, see storage.js) and re-indexes
+//   only created/edited notes and drops deleted ones; upsert()/remove() do the same
+//   for a single note.
+// - Queries arrive parsed (query.js: AND/OR/NOT, phrases, field and date filters).
+//   A free-text term matches inside words too ("meet" finds "meetings"), as the
+//   old substring search did; phrases must occur verbatim.
+// - Tokens and terms are folded (utils.foldText(): case, umlauts, ß), so
+//   "uberweisung" finds "Überweisung". Words with ä/ö/ü are also indexed and
+//   searched spelled out (utils.termVariants()), so "ueberweisung" finds
+//   "Überweisung" and "Überweisung" finds "Ueberweisung". Terms of 4+ letters
+//   also match tokens within a small edit distance (typos), at a low weight.
+// - Ranking: pinned first, then score (title hits weigh more than content hits,
+//   repeated terms add up with diminishing returns, rare terms count more, whole
+//   words beat prefixes beat infixes beat typos, recently edited notes get a small boost),
+//   then updatedAt. Without free text the order is byPinnedThenUpdated.
+
+import {
+  byPinnedThenUpdated,
+  extractTags,
+  foldForms,
+  foldText,
+  fuzzyMatch,
+  tagAncestors,
+  termVariants,
+} from './utils.js';
+
+/** A title hit counts this many times as much as a content hit. */
+const TITLE_WEIGHT = 3;
+/** How a query term matched an indexed token. */
+const MATCH_WEIGHT = { exact: 1, prefix: 0.7, infix: 0.4, fuzzy: 0.3 };
+/** Max. relative boost for a note edited just now … */
+const RECENCY_WEIGHT = 0.25;
+/** … halving every this many days. */
+const RECENCY_HALF_LIFE_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Split text into folded word tokens (letters/digits of any script; see foldText()).
+ * @param {string} text
+ * @param {Object} [options] - see utils.foldWithMap() (`umlauts`: spelled out)
+ * @returns {string[]}
+ */
+export function tokenize(text, options) {
+  return foldText(text, options)
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(Boolean);
+}
+
+/** Words of a query, each as its comparison forms (utils.termVariants()). */
+const queryTerms = (text) =>
+  String(text)
+    .split(/[^\p{L}\p{M}\p{N}_]+/u)
+    .map(termVariants)
+    .filter(([folded]) => folded);
+
+/** Order tags level by level, so nested tags follow their parent ("a", "a/b", "a-c"). */
+function compareTagPaths(a, b) {
+  const x = a.split('/');
+  const y = b.split('/');
+  for (let i = 0; i < Math.min(x.length, y.length); i++) {
+    const order = x[i].localeCompare(y[i]);
+    if (order !== 0) return order;
+  }
+  return x.length - y.length;
+}
+
+/** Count occurrences per token; words with ä/ö/ü count spelled out, too. */
+function countTokens(text) {
+  const counts = new Map();
+  const add = (t) => counts.set(t, (counts.get(t) ?? 0) + 1);
+  const tokens = tokenize(text);
+  tokens.forEach(add);
+  // Spelling out only lengthens words, so both token lists line up.
+  const spelled = tokenize(text, { umlauts: true });
+  spelled.forEach((t, i) => t !== tokens[i] && add(t));
+  return counts;
+}
+
+/**
+ * @typedef {Object} IndexedDoc
+ * @property {import('./app.js').Note} note  - the indexed version (identity = "unchanged")
+ * @property {string[]} tokens               - distinct tokens, for removal
+ * @property {string[]} tags                 - #tags of the note
+ * @property {string[]} tagKeys              - tags + their parents (tagIndex keys), for removal
+ */
+
+/**
+ * Create an empty search index.
+ *
+ * Usage:
+ *   const index = createSearchIndex();
+ *   index.sync(notes);                 // cheap when little changed
+ *   const results = index.search(parseSearch('#work meeting').ast);
+ */
+export function createSearchIndex() {
+  /** @type {Map<string, IndexedDoc>} note id → indexed doc */
+  const docs = new Map();
+  /** @type {Map<string, Map<string, { title: number, content: number }>>} token → postings */
+  const postings = new Map();
+  /** @type {Map<string, Set<string>>} tag (or parent tag) → note ids */
+  const tagIndex = new Map();
+
+  /**
+   * Drop a note from the index.
+   * @param {string} id
+   */
+  function remove(id) {
+    const key = String(id);
+    const doc = docs.get(key);
+    if (!doc) return;
+
+    for (const token of doc.tokens) {
+      const list = postings.get(token);
+      list?.delete(key);
+      if (list?.size === 0) postings.delete(token);
+    }
+    for (const tag of doc.tagKeys) {
+      const ids = tagIndex.get(tag);
+      ids?.delete(key);
+      if (ids?.size === 0) tagIndex.delete(tag);
+    }
+    docs.delete(key);
+  }
+
+  /**
+   * Index a new note or re-index an edited one (no-op if this exact object is indexed).
+   * @param {import('./app.js').Note} note
+   */
+  function upsert(note) {
+    const key = String(note.id);
+    if (docs.get(key)?.note === note) return;
+    remove(key);
+
+    const title = countTokens(note.title);
+    const content = countTokens(note.content);
+    const tokens = [...new Set([...title.keys(), ...content.keys()])];
+    for (const token of tokens) {
+      if (!postings.has(token)) postings.set(token, new Map());
+      postings
+        .get(token)
+        .set(key, { title: title.get(token) ?? 0, content: content.get(token) ?? 0 });
+    }
+
+    const tags = extractTags(note.title, note.content);
+    const tagKeys = [...new Set(tags.flatMap(tagAncestors))];
+    for (const tag of tagKeys) {
+      if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+      tagIndex.get(tag).add(key);
+    }
+
+    docs.set(key, { note, tokens, tags, tagKeys });
+  }
+
+  /**
+   * Bring the index in line with the current notes array.
+   * Only notes that are new or were replaced since the last call are tokenized.
+   * @param {import('./app.js').Note[]} notes
+   */
+  function sync(notes) {
+    const current = new Set();
+    for (const note of notes) {
+      current.add(String(note.id));
+      upsert(note);
+    }
+    for (const id of [...docs.keys()]) if (!current.has(id)) remove(id);
+  }
+
+  /**
+   * #tags of an indexed note (cached; no re-extraction).
+   * @param {string} id
+   * @returns {string[]}
+   */
+  function tagsOf(id) {
+    return docs.get(String(id))?.tags ?? [];
+  }
+
+  /**
+   * Every tag with the number of notes it filters to (a parent tag also counts
+   * the notes of its nested tags), sorted by tag path.
+   * @returns {Array<{ tag: string, count: number }>}
+   */
+  function tagCounts() {
+    return [...tagIndex]
+      .map(([tag, ids]) => ({ tag, count: ids.size }))
+      .sort((a, b) => compareTagPaths(a.tag, b.tag));
+  }
+
+  /**
+   * Score of every note containing a term (summed over all tokens it matches).
+   * @param {string[]} variants - the term's comparison forms (utils.termVariants())
+   * @param {'any'|'title'|'content'} field - where it has to occur
+   * @returns {Map<string, number>} note id → score
+   */
+  function scoreTerm(variants, field) {
+    const scores = new Map();
+    for (const [token, list] of postings) {
+      let weight;
+      if (variants.includes(token)) weight = MATCH_WEIGHT.exact;
+      else if (variants.some((v) => token.startsWith(v))) weight = MATCH_WEIGHT.prefix;
+      else if (variants.some((v) => token.includes(v))) weight = MATCH_WEIGHT.infix;
+      else if (variants.some((v) => fuzzyMatch(v, token))) weight = MATCH_WEIGHT.fuzzy;
+      else continue;
+
+      // Rare tokens are better evidence than ones found in every note.
+      const idf = Math.log(1 + docs.size / list.size);
+      for (const [id, tf] of list) {
+        const title = field === 'content' ? 0 : tf.title;
+        const content = field === 'title' ? 0 : tf.content;
+        if (title === 0 && content === 0) continue;
+        const hits = TITLE_WEIGHT * Math.log1p(title) + Math.log1p(content);
+        scores.set(id, (scores.get(id) ?? 0) + weight * idf * hits);
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * Notes matching a text node: every token of it via the index; phrases and
+   * words with punctuation ("e-mail") are then checked verbatim (but folded).
+   * @param {{ value: string, phrase: boolean, field: 'any'|'title'|'content' }} node
+   * @returns {Map<string, number>}
+   */
+  function matchText({ value, phrase, field }) {
+    const terms = queryTerms(value);
+    let scores = null;
+    for (const variants of terms) {
+      const termScores = scoreTerm(variants, field);
+      if (scores === null) {
+        scores = termScores;
+        continue;
+      }
+      for (const [id, score] of scores) {
+        if (termScores.has(id)) scores.set(id, score + termScores.get(id));
+        else scores.delete(id);
+      }
+    }
+    // Nothing indexable (e.g. "++"): fall back to a plain scan.
+    scores ??= new Map([...docs.keys()].map((id) => [id, 0]));
+
+    const forms = termVariants(value);
+    if (phrase || terms.length !== 1 || terms[0][0] !== forms[0]) {
+      const haystack = (note) =>
+        field === 'title'
+          ? note.title
+          : field === 'content'
+            ? note.content
+            : `${note.title}\n${note.content}`;
+      // Same folding as the index: "Über …" also finds "Ueber …" and vice versa.
+      const contains = (note) =>
+        foldForms(haystack(note)).some(({ folded }) => forms.some((f) => folded.includes(f)));
+      for (const id of [...scores.keys()]) {
+        if (!contains(docs.get(id).note)) scores.delete(id);
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * Does a note's timestamp satisfy a date filter?
+   * @param {number} ts
+   * @param {Extract<import('./query.js').QueryNode, { type: 'date' }>} node
+   * @param {number} now
+   */
+  function matchesDate(ts, { op, at, age }, now) {
+    if (age !== undefined) {
+      // Relative: "<7d" = newer than 7 days, ">7d" = older ("7d" alone = within).
+      const threshold = now - age;
+      return op === '>' || op === '>=' ? ts <= threshold : ts >= threshold;
+    }
+    const [start, end] = at;
+    const exact = start === end; // full timestamp instead of a whole day
+    if (op === '>') return exact ? ts > start : ts >= end;
+    if (op === '>=') return ts >= start;
+    if (op === '<') return ts < start;
+    if (op === '<=') return exact ? ts <= start : ts < end;
+    return exact ? ts === start : ts >= start && ts < end;
+  }
+
+  /**
+   * Evaluate a query tree.
+   * @param {import('./query.js').QueryNode} node
+   * @param {number} now
+   * @returns {Map<string, number>} matching note ids → relevance score
+   */
+  function evaluate(node, now) {
+    const all = () => new Map([...docs.keys()].map((id) => [id, 0]));
+    const where = (test) =>
+      new Map([...docs].filter(([, doc]) => test(doc.note)).map(([id]) => [id, 0]));
+
+    switch (node.type) {
+      case 'text':
+        return matchText(node);
+      case 'tag':
+        return new Map([...(tagIndex.get(node.tag) ?? [])].map((id) => [id, 0]));
+      case 'pinned':
+        return where((note) => note.pinned);
+      case 'date':
+        return where((note) => matchesDate(note[node.field] ?? 0, node, now));
+      case 'not': {
+        const excluded = evaluate(node.child, now);
+        const result = all();
+        for (const id of excluded.keys()) result.delete(id);
+        return result;
+      }
+      case 'and': {
+        // Every child must match; scores add up.
+        const [first, ...rest] = node.children.map((child) => evaluate(child, now));
+        for (const scores of rest) {
+          for (const [id, score] of first) {
+            if (scores.has(id)) first.set(id, score + scores.get(id));
+            else first.delete(id);
+          }
+        }
+        return first;
+      }
+      case 'or': {
+        // Any child may match; notes matching several sides score higher.
+        const result = new Map();
+        for (const scores of node.children.map((child) => evaluate(child, now))) {
+          for (const [id, score] of scores) result.set(id, (result.get(id) ?? 0) + score);
+        }
+        return result;
+      }
+      default:
+        return all();
+    }
+  }
+
+  /**
+   * Find and rank notes for a parsed query.
+   *
+   * @param {import('./query.js').QueryNode|null} ast - from parseSearch(); null = all notes
+   * @param {{ now?: number }} [options] - reference time for the recency boost and
+   *   relative date filters
+   * @returns {import('./app.js').Note[]} matching notes, best first (pinned on top)
+   */
+  function search(ast, { now = Date.now() } = {}) {
+    if (!ast) return [...docs.values()].map((doc) => doc.note).sort(byPinnedThenUpdated);
+
+    const ranked = [...evaluate(ast, now)].map(([id, score]) => {
+      const note = docs.get(id).note;
+      const ageDays = Math.max(0, now - (note.updatedAt ?? 0)) / DAY_MS;
+      const recency = RECENCY_WEIGHT * 2 ** (-ageDays / RECENCY_HALF_LIFE_DAYS);
+      return { note, score: score * (1 + recency) };
+    });
+
+    // Filters without free text score 0 → plain byPinnedThenUpdated order.
+    ranked.sort(
+      (a, b) =>
+        Number(b.note.pinned) - Number(a.note.pinned) ||
+        b.score - a.score ||
+        byPinnedThenUpdated(a.note, b.note)
+    );
+    return ranked.map((r) => r.note);
+  }
+
+  return { sync, upsert, remove, search, tagsOf, tagCounts };
+}
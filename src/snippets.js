@@ -0,0 +1,105 @@
+// snippets.js
+// Search result excerpts: the best passages around the hits
+// -------------------------------------------------
+// While a search is active, a card doesn't print a long note in full but only
+// the passages that matched, with a few words of context on each side:
+//   "… wir treffen uns zum <mark>Meeting</mark> am Montag, danach …"
+//
+// Design notes:
+// - Hits come from utils.findMatches(), so excerpts and highlighting agree with
+//   the search itself (umlauts, typos).
+// - Hits whose context windows touch form one passage. Passages are ranked by how
+//   many DIFFERENT terms they contain, then by hit count; the best ones are shown
+//   in text order. Hits outside of them are only counted ("+2 weitere Treffer").
+// - Words are whitespace-separated chunks, so context never cuts a word in half.
+// - Content without hits (the title or a #tag matched) shows its beginning.
+
+import { escapeHtml, findMatches, foldText, markRanges } from './utils.js';
+
+/** Words of context on each side of a hit. */
+const CONTEXT_WORDS = 6;
+/** Passages shown per note. */
+const MAX_SNIPPETS = 2;
+/** Words shown from the beginning when the content has no hit. */
+const LEAD_WORDS = 30;
+
+/**
+ * @typedef {Object} Snippets
+ * @property {string}  html       - excerpts (HTML-safe, hits in <mark>), "…" where text is left out
+ * @property {number}  hits       - matches in the whole text
+ * @property {number}  hidden     - matches outside of the shown excerpts
+ * @property {boolean} truncated  - part of the text is not shown
+ */
+
+/**
+ * Build excerpts of `text` around the matches of `terms`.
+ *
+ * @param {string} text
+ * @param {string[]} terms - free-text terms of the query (positiveTerms() from query.js)
+ * @param {{ contextWords?: number, maxSnippets?: number }} [options]
+ * @returns {Snippets}
+ */
+export function buildSnippets(
+  text,
+  terms,
+  { contextWords = CONTEXT_WORDS, maxSnippets = MAX_SNIPPETS } = {}
+) {
+  const source = String(text ?? '');
+  const words = [...source.matchAll(/\S+/g)].map((m) => [m.index, m.index + m[0].length]);
+  const hits = findMatches(source, terms);
+
+  if (hits.length === 0) {
+    if (words.length <= LEAD_WORDS) {
+      return { html: escapeHtml(source), hits: 0, hidden: 0, truncated: false };
+    }
+    const end = words[LEAD_WORDS - 1][1];
+    return { html: `${escapeHtml(source.slice(0, end))} …`, hits: 0, hidden: 0, truncated: true };
+  }
+
+  // Index of the word containing a position (or the next word after it).
+  const wordAt = (pos) => {
+    const i = words.findIndex(([, end]) => end > pos);
+    return i < 0 ? words.length - 1 : i;
+  };
+
+  // One window per hit; windows that touch are merged into a passage.
+  const passages = [];
+  for (const hit of hits) {
+    const first = Math.max(0, wordAt(hit[0]) - contextWords);
+    const last = Math.min(words.length - 1, wordAt(hit[1] - 1) + contextWords);
+    const prev = passages[passages.length - 1];
+    if (prev && first <= prev.last + 1) {
+      prev.last = Math.max(prev.last, last);
+      prev.hits.push(hit);
+    } else {
+      passages.push({ first, last, hits: [hit] });
+    }
+  }
+
+  const distinct = (p) => new Set(p.hits.map(([s, e]) => foldText(source.slice(s, e)))).size;
+  const shown = passages
+    .map((p, order) => ({ ...p, order, score: distinct(p) * 100 + p.hits.length }))
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, maxSnippets)
+    .sort((a, b) => a.order - b.order);
+
+  // Passages never touch (see above), so there is always a gap between two of them.
+  const excerpts = shown.map((p) => {
+    const start = words[p.first][0];
+    return markRanges(
+      source.slice(start, words[p.last][1]),
+      p.hits.map(([s, e]) => [s - start, e - start])
+    );
+  });
+  const head = shown[0].first > 0;
+  const tail = shown[shown.length - 1].last < words.length - 1;
+  const html = `${head ? '… ' : ''}${excerpts.join(' … ')}${tail ? ' …' : ''}`;
+  const shownHits = shown.reduce((sum, p) => sum + p.hits.length, 0);
+
+  return {
+    html,
+    hits: hits.length,
+    hidden: hits.length - shownHits,
+    truncated: head || tail || shown.length > 1,
+  };
+}
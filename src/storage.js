@@ -1,50 +1,286 @@
 // storage.js
 // Small persistence helpers for notes
 // -------------------------------------------------
-// Handles reading/writing the notes array to localStorage using a single key.
-// Keeps the module tiny and framework-agnostic. All schema/migration logic
-// (if any) should be handled by callers before/after using these functions.
+// Notes live in a NotesStore with per-note get/put/delete/list:
+// - IndexedDB (idb.js): one record per note, scales to thousands of notes.
+// - localStorage (below): the original single-key array, kept as fallback
+//   for browsers/modes where IndexedDB is unavailable.
+// loadNotes()/saveNotes() wrap whichever store is active, so callers keep working
+// with a plain in-memory array. Records are stamped with a schema version and
+// upgraded/validated on load (migrations.js); records that fail are moved to a
+// quarantine (listQuarantine()) instead of being dropped.
+// Every successful save is announced to other open tabs (tabsync.js).
+
+import { openIdbStore } from './idb.js';
+import { SCHEMA_VERSION, upgradeRecords } from './migrations.js';
+import { publishChanges } from './tabsync.js';
 
 /**
- * Storage key for this app's data.
- * - The suffix ".v1" acts as a simple schema/version indicator.
- * - If you ever change the stored structure, bump this to ".v2" and
- *   implement a small migration in the loader that reads old data and rewrites.
+ * @typedef {Object} NotesStore
+ * @property {'indexeddb'|'localstorage'} kind
+ * @property {(id: string) => Promise<any|undefined>} get   - one note by id
+ * @property {() => Promise<Array<any>>}               list  - all notes (no particular order)
+ * @property {(note: any) => Promise<void>}            put   - insert or replace by id
+ * @property {(id: string) => Promise<void>}           delete
+ * @property {(batch: { put?: Array<any>, delete?: string[] }) => Promise<void>} apply
+ *   Several writes at once (one transaction / one localStorage write).
+ */
+
+/**
+ * Storage key for this app's data in localStorage.
+ * - The suffix ".v1" is the original container format (one JSON array) and stays
+ *   as is; the schema of the records inside is versioned per record via
+ *   `schemaVersion` (see migrations.js), so structure changes need no new key.
+ * - With IndexedDB active, data found under this key is migrated once and removed.
  */
 const STORAGE_KEY = 'mini-notes.v1';
 
+/** Storage key for records that failed migration/validation (kept for recovery). */
+const QUARANTINE_KEY = 'mini-notes.quarantine';
+
+/**
+ * @typedef {Object} QuarantineEntry
+ * @property {any}    record         - The raw stored record (or raw text if unparsable)
+ * @property {string} reason         - Why it was quarantined
+ * @property {number} quarantinedAt  - Unix ms timestamp
+ */
+
+/**
+ * Records that could not be loaded, oldest first.
+ * @returns {QuarantineEntry[]}
+ */
+export function listQuarantine() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(QUARANTINE_KEY));
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Forget all quarantined records (after the user exported or gave up on them).
+ * @returns {void}
+ */
+export function clearQuarantine() {
+  localStorage.removeItem(QUARANTINE_KEY);
+}
+
+/** Append records to the quarantine. */
+function quarantine(entries) {
+  if (entries.length === 0) return;
+  const quarantinedAt = Date.now();
+  const next = [...listQuarantine(), ...entries.map((e) => ({ ...e, quarantinedAt }))];
+  localStorage.setItem(QUARANTINE_KEY, JSON.stringify(next));
+  console.warn(`[Storage] Quarantined ${entries.length} corrupt record(s).`, entries);
+}
+
+/** A record can only be stored/addressed by id if it has a string or number id. */
+const hasKey = (n) => typeof n?.id === 'string' || typeof n?.id === 'number';
+
 /**
- * Load notes array from localStorage.
+ * Read the raw array stored under STORAGE_KEY ([] if missing).
+ * Malformed JSON and records without an id are moved to the quarantine verbatim,
+ * so the next write does not overwrite the only copy of the user's data.
+ */
+function readLocalArray() {
+  let raw;
+  try {
+    raw = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return []; // storage unavailable (e.g. blocked cookies)
+  }
+  if (raw === null) return [];
+
+  try {
+    const data = JSON.parse(raw);
+    if (Array.isArray(data)) {
+      if (data.every(hasKey)) return data;
+      const keyed = data.filter(hasKey);
+      quarantine(
+        data.filter((n) => !hasKey(n)).map((record) => ({ record, reason: 'record has no id' }))
+      );
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(keyed));
+      return keyed;
+    }
+    quarantine([{ record: data, reason: 'stored value is not an array' }]);
+  } catch {
+    quarantine([{ record: raw, reason: 'stored value is not valid JSON' }]);
+  }
+  localStorage.removeItem(STORAGE_KEY);
+  return [];
+}
+
+/** Tag a note with the current schema version before it is written. */
+const stamp = (note) => ({ ...note, schemaVersion: SCHEMA_VERSION });
+
+/**
+ * localStorage-backed NotesStore (fallback).
+ * Every write still rewrites the whole array; that is the limitation IndexedDB removes.
+ *
+ * @returns {NotesStore}
+ */
+export function createLocalStorageStore() {
+  // Writes are synchronous and can throw (e.g., QuotaExceededError); wrapping them
+  // in async functions turns that into a rejected promise for the caller.
+  const write = (arr) => localStorage.setItem(STORAGE_KEY, JSON.stringify(arr));
+
+  return {
+    kind: 'localstorage',
+    async get(id) {
+      return readLocalArray().find((n) => n.id === id);
+    },
+    async list() {
+      return readLocalArray();
+    },
+    async put(note) {
+      await this.apply({ put: [note] });
+    },
+    async delete(id) {
+      await this.apply({ delete: [id] });
+    },
+    async apply({ put = [], delete: remove = [] }) {
+      const map = new Map(readLocalArray().map((n) => [n.id, n]));
+      for (const n of put) map.set(n.id, n);
+      for (const id of remove) map.delete(id);
+      write([...map.values()]);
+    },
+  };
+}
+
+/**
+ * Open the best available store: IndexedDB, else localStorage.
+ * On the first IndexedDB load, existing `mini-notes.v1` data is copied over in
+ * one transaction and the old key is removed only after that committed.
+ *
+ * @returns {Promise<NotesStore>}
+ */
+async function openNotesStore() {
+  let idb;
+  try {
+    idb = await openIdbStore();
+  } catch (err) {
+    console.warn('[Storage] IndexedDB unavailable, using localStorage.', err);
+    return createLocalStorageStore();
+  }
+
+  if (localStorage.getItem(STORAGE_KEY) !== null) {
+    const legacy = readLocalArray();
+    // Never overwrite newer IndexedDB records with the legacy copy.
+    const existing = new Set((await idb.list()).map((n) => n.id));
+    await idb.apply({ put: legacy.filter((n) => !existing.has(n.id)) });
+    localStorage.removeItem(STORAGE_KEY);
+    console.info(`[Storage] Migrated ${legacy.length} note(s) from localStorage to IndexedDB.`);
+  }
+  return idb;
+}
+
+// ---- Module state ----
+// The store is opened once; all reads/writes share the same promise.
+let storePromise = null;
+// Last persisted version of every note (by id). saveNotes() diffs against it, so
+// only changed notes are written. Notes are treated as immutable values: the app
+// replaces objects on change (notes[i] = { ...n, … }) instead of mutating them.
+let persisted = new Map();
+// Writes are chained so they reach the store in call order.
+let writeChain = Promise.resolve();
+
+/**
+ * The active store (opened on first use).
+ * @returns {Promise<NotesStore>}
+ */
+export function getStore() {
+  storePromise ??= openNotesStore();
+  return storePromise;
+}
+
+/**
+ * Load all notes from the active store.
  *
  * Implementation details:
- * - Safely parses JSON and falls back to an empty array on any error (corruption,
- *   manual edits, or first run where nothing is stored yet).
- * - Returns a plain array; no validation is performed here to stay lightweight.
- *   If you need to enforce a schema, validate in the caller.
+ * - Each record is upgraded to SCHEMA_VERSION and validated (migrations.js).
+ * - Upgraded records are written back once, so migrations run a single time.
+ * - Invalid records are moved to the quarantine and removed from the store.
+ * - Falls back to an empty array if the store cannot be read at all.
  *
- * @returns {Array<any>}  Notes array as stored (caller can cast/validate to a stricter type)
+ * @returns {Promise<import('./app.js').Note[]>}  Valid notes only
  */
-export function loadNotes() {
+export async function loadNotes() {
   try {
-    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
-  } catch {
-    // If JSON is malformed or storage is unavailable, start with a clean slate.
+    const store = await getStore();
+    const { notes, upgraded, rejected } = upgradeRecords(await store.list());
+
+    if (upgraded.length > 0 || rejected.length > 0) {
+      quarantine(rejected);
+      await store.apply({
+        put: upgraded.map(({ note }) => stamp(note)),
+        delete: [
+          // Records whose key changed during the upgrade (e.g. numeric → string id) …
+          ...upgraded.filter(({ record, note }) => record.id !== note.id).map((u) => u.record.id),
+          // … and quarantined ones (only if they have a usable key at all).
+          ...rejected
+            .map(({ record }) => record)
+            .filter(hasKey)
+            .map((record) => record.id),
+        ],
+      });
+    }
+
+    // upgradeRecords() already strips `schemaVersion`; in memory notes are plain Notes.
+    persisted = new Map(notes.map((n) => [n.id, n]));
+    return notes;
+  } catch (err) {
+    console.error('[Storage] Loading notes failed:', err);
     return [];
   }
 }
 
 /**
- * Save notes array to localStorage.
+ * Record changes another tab has already written (see tabsync.js), so the next
+ * saveNotes() neither writes them again nor announces them back.
+ *
+ * @param {{ put?: import('./app.js').Note[], delete?: string[] }} changes
+ *   the notes/ids this tab adopted into its array
+ * @returns {void}
+ */
+export function markPersisted({ put = [], delete: remove = [] }) {
+  for (const n of put) persisted.set(n.id, n);
+  for (const id of remove) persisted.delete(id);
+}
+
+/**
+ * Persist the notes array.
  *
  * Notes:
- * - Uses JSON.stringify; objects should be serializable (no functions, cyclic refs).
- * - This call is synchronous and can throw (e.g., QuotaExceededError) if storage is full.
- *   We deliberately do NOT catch here so the caller can handle/report failures as needed.
- *   If you prefer silent failure, wrap this in a try/catch at the call site.
+ * - Only notes that changed since the last save are written; notes missing from
+ *   the array are deleted. Both happen in one batch (see NotesStore.apply).
+ * - Objects should be serializable (no functions, cyclic refs).
+ * - Asynchronous and never rejects: failures (e.g. QuotaExceededError) are logged
+ *   and the affected notes are retried with the next save. The promise resolves
+ *   to false in that case, for callers that want to report it.
  *
  * @param {Array<any>} notes  Notes array to persist
- * @returns {void}
+ * @returns {Promise<boolean>}  true once the changes are stored
  */
 export function saveNotes(notes) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(notes));
+  const next = new Map(notes.map((n) => [n.id, n]));
+  const put = notes.filter((n) => persisted.get(n.id) !== n);
+  const remove = [...persisted.keys()].filter((id) => !next.has(id));
+  persisted = next;
+
+  writeChain = writeChain.then(async () => {
+    if (put.length === 0 && remove.length === 0) return true;
+    try {
+      await (await getStore()).apply({ put: put.map(stamp), delete: remove });
+      publishChanges({ put, delete: remove });
+      return true;
+    } catch (err) {
+      console.error('[Storage] Saving notes failed:', err);
+      // Forget what did not make it, so the next save writes it again.
+      for (const n of put) if (persisted.get(n.id) === n) persisted.delete(n.id);
+      for (const id of remove) if (!persisted.has(id)) persisted.set(id, null);
+      return false;
+    }
+  });
+  return writeChain;
 }
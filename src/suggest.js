@@ -0,0 +1,142 @@
+// suggest.js
+// Inline suggestion popup for text fields (shared by #tags and [[links]])
+// -------------------------------------------------
+// A small list below an <input>/<textarea> that completes the word being typed:
+// ↑/↓ choose, Enter/Tab insert, Escape closes; a click inserts too. What counts
+// as "the word" and what is offered comes from a provider function, so the
+// same popup serves tagsuggest.js (#tag) and wikilinks.js ([[Note title]]).
+//
+// Design notes:
+// - Follows the ARIA combobox pattern via aria-activedescendant; the field keeps focus.
+// - Keys are handled in the capture phase while the popup is open, so other key
+//   handlers on the field (recent searches dropdown, Ctrl+Enter) see them as handled.
+// - Inserting dispatches an `input` event, so the app reacts as if it was typed.
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * @typedef {Object} Suggestion
+ * @property {string} label   - text shown in the list
+ * @property {string} insert  - text that replaces the typed word
+ */
+
+/**
+ * @typedef {Object} SuggestResult
+ * @property {number} start   - index in the field value where the typed word starts
+ * @property {number} end     - index where it ends (usually the caret)
+ * @property {Suggestion[]} items - best first; empty = nothing to offer
+ */
+
+/**
+ * Attach a suggestion popup to a text field.
+ *
+ * @param {HTMLInputElement|HTMLTextAreaElement} field
+ * @param {Object} options
+ * @param {string} options.name - id suffix of the popup (e.g. 'tag-suggest')
+ * @param {string} options.label - accessible name of the list (German UI text)
+ * @param {(value: string, caret: number) => SuggestResult|null} options.suggest
+ *   called on input/click; null = no word to complete here
+ * @param {() => void} [options.onClose] - the popup closed or stayed closed (drop cached data)
+ * @returns {{ isOpen: () => boolean }}
+ */
+export function attachSuggestions(field, { name, label, suggest, onClose = () => {} }) {
+  if (!field) return { isOpen: () => false };
+
+  const popup = document.createElement('ul');
+  popup.id = `${field.id}-${name}`;
+  popup.className = 'suggest-popup';
+  popup.setAttribute('role', 'listbox');
+  popup.setAttribute('aria-label', label);
+  popup.hidden = true;
+  document.body.appendChild(popup);
+
+  if (!field.hasAttribute('aria-controls')) field.setAttribute('aria-controls', popup.id);
+  field.setAttribute('aria-autocomplete', 'list');
+
+  let token = null; // { start, end } of the word being completed
+  let items = [];
+  let active = 0;
+
+  function close() {
+    popup.hidden = true;
+    token = null;
+    field.removeAttribute('aria-activedescendant');
+    onClose();
+  }
+
+  function highlight(index) {
+    active = index;
+    popup.querySelectorAll('[role="option"]').forEach((el, i) => {
+      el.setAttribute('aria-selected', String(i === index));
+    });
+    field.setAttribute('aria-activedescendant', `${popup.id}-${index}`);
+  }
+
+  function update() {
+    const caret = field.selectionStart ?? field.value.length;
+    const result = field.selectionEnd === caret ? suggest(field.value, caret) : null;
+    if (!result || result.items.length === 0) return close();
+
+    ({ items } = result);
+    token = { start: result.start, end: result.end };
+    popup.innerHTML = items
+      .map(
+        (item, i) =>
+          `<li role="option" id="${popup.id}-${i}" data-index="${i}" aria-selected="false">${escapeHtml(item.label)}</li>`
+      )
+      .join('');
+
+    // Below the field (the caret position inside a textarea is not known).
+    const rect = field.getBoundingClientRect();
+    popup.style.top = `${rect.bottom + 4}px`;
+    popup.style.left = `${rect.left}px`;
+    popup.style.minWidth = `${Math.min(rect.width, 240)}px`;
+    popup.hidden = false;
+    highlight(0);
+  }
+
+  function accept(index) {
+    const item = items[index];
+    if (item === undefined || !token) return close();
+    const before = field.value.slice(0, token.start);
+    const after = field.value.slice(token.end);
+    field.value = before + item.insert + after;
+    const caret = before.length + item.insert.length;
+    field.setSelectionRange(caret, caret);
+    close();
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  field.addEventListener('input', update);
+  field.addEventListener('click', update);
+  field.addEventListener('blur', close);
+
+  field.addEventListener(
+    'keydown',
+    (e) => {
+      if (popup.hidden) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        highlight((active + step + items.length) % items.length);
+      } else if ((e.key === 'Enter' && !e.ctrlKey && !e.metaKey) || e.key === 'Tab') {
+        accept(active);
+      } else if (e.key === 'Escape') {
+        close();
+      } else {
+        return;
+      }
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    },
+    { capture: true }
+  );
+
+  // mousedown instead of click: it runs before the field's blur closes the popup.
+  popup.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+    const option = e.target.closest('[role="option"]');
+    if (option) accept(Number(option.dataset.index));
+  });
+
+  return { isOpen: () => !popup.hidden };
+}
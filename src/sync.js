@@ -0,0 +1,141 @@
+// sync.js
+// Incremental (delta) sync from the backend into local state
+// -------------------------------------------------
+// Instead of downloading /api/notes and replacing everything, we remember a
+// cursor from the last successful sync and ask only for what changed since:
+//   GET /api/notes?since=<cursor>
+//   → { notes: [...changed], deleted: [...ids], cursor: '…' }
+//
+// Design notes:
+// - Deletions arrive as tombstones (ids in `deleted`, or items flagged
+//   `deleted: true` / `deletedAt`); see api.listChanges().
+// - Backends without delta support simply return the full array; that is
+//   treated as a snapshot, so notes missing from it count as deleted.
+// - Notes with unsynced local changes (outbox) are never overwritten or removed
+//   here; the outbox replay sends them to the server first.
+// - Notes in the trash (trash.js) still exist on the server until they are
+//   purged; they are not brought back into the list.
+// - Offline copies served by the service worker (`stale`) only seed an empty
+//   local store; they may predate local changes, so they never merge into them.
+
+/** Storage key for the last sync cursor (opaque string from the server). */
+const CURSOR_KEY = 'mini-notes.sync-cursor';
+
+/**
+ * Read the cursor of the last successful sync.
+ * @returns {string|null} null = never synced (next pull is a full snapshot)
+ */
+export function loadCursor() {
+  return localStorage.getItem(CURSOR_KEY);
+}
+
+/**
+ * Persist the cursor (null clears it and forces a full sync next time).
+ * @param {string|null} cursor
+ * @returns {void}
+ */
+export function saveCursor(cursor) {
+  if (cursor === null || cursor === undefined) localStorage.removeItem(CURSOR_KEY);
+  else localStorage.setItem(CURSOR_KEY, String(cursor));
+}
+
+/**
+ * Merge a change set into the local notes (pure; returns a new array).
+ *
+ * Rules:
+ * - Changed notes replace the local copy (server is authoritative) …
+ * - … except notes in `pending`: unsynced local edits always win.
+ * - Tombstones remove notes, again except pending ones.
+ * - For a full snapshot, local notes absent from it are removed (not pending ones).
+ * - Notes in `trashed` are left out (deleted here, not yet purged on the server).
+ *
+ * @param {import('./app.js').Note[]} local
+ * @param {{ notes: import('./app.js').Note[], deleted: string[], full: boolean }} changes
+ * @param {Set<string>} [pending] - ids with queued outbox changes
+ * @param {Set<string>} [trashed] - ids of notes in the trash
+ * @returns {{ notes: import('./app.js').Note[], added: number, updated: number, removed: number }}
+ */
+export function applyChanges(local, changes, pending = new Set(), trashed = new Set()) {
+  const map = new Map(local.map((n) => [String(n.id), n]));
+  let added = 0;
+  let updated = 0;
+  let removed = 0;
+
+  const remove = (id) => {
+    if (pending.has(id) || !map.has(id)) return;
+    map.delete(id);
+    removed++;
+  };
+
+  if (changes.full) {
+    const incoming = new Set(changes.notes.map((n) => String(n.id)));
+    for (const id of [...map.keys()]) if (!incoming.has(id)) remove(id);
+  }
+  for (const id of changes.deleted) remove(String(id));
+
+  for (const n of changes.notes) {
+    const id = String(n.id);
+    if (pending.has(id) || trashed.has(id)) continue;
+
+    const prev = map.get(id);
+    if (!prev) {
+      map.set(id, n);
+      added++;
+    } else if (prev.title !== n.title || prev.content !== n.content || prev.pinned !== n.pinned) {
+      // Pure timestamp drift is ignored: backends without timestamps get "now"
+      // from normalizeNote() on every response.
+      map.set(id, { ...prev, ...n });
+      updated++;
+    }
+  }
+
+  return { notes: [...map.values()], added, updated, removed };
+}
+
+/**
+ * Pull changes since the last cursor and merge them into the local notes.
+ * The cursor is only advanced after the response was merged successfully.
+ *
+ * Local state is read through callbacks *after* the response arrived, so edits
+ * made while the request was in flight are not overwritten with a stale copy.
+ *
+ * @param {ReturnType<import('./api.js').createApiClient>} api
+ * @param {Object}  options
+ * @param {() => import('./app.js').Note[]} options.getLocal - current local notes
+ * @param {() => Set<string>} [options.getPending]          - ids with unsynced local edits
+ * @param {() => Set<string>} [options.getTrashed]          - ids of notes in the trash
+ * @param {boolean} [options.full=false]         - ignore the cursor (forced refresh)
+ * @param {boolean} [options.keepOnEmpty=false]  - an empty snapshot must not wipe local notes
+ *   (first load against a fresh backend DB)
+ * @returns {Promise<{ notes: import('./app.js').Note[], changed: number }>}
+ * @throws {import('./api.js').ApiError} network/HTTP/parse failures (local state untouched)
+ */
+export async function pullChanges(
+  api,
+  {
+    getLocal,
+    getPending = () => new Set(),
+    getTrashed = () => new Set(),
+    full = false,
+    keepOnEmpty = false,
+  }
+) {
+  const changes = await api.listChanges(full ? null : loadCursor());
+  const local = getLocal();
+
+  if (changes.stale) {
+    // The cursor stays where it is: this was not a real answer to it.
+    const trashed = getTrashed();
+    const seed = changes.notes.filter((n) => !trashed.has(String(n.id)));
+    if (local.length > 0 || seed.length === 0) return { notes: local, changed: 0 };
+    return { notes: seed, changed: seed.length };
+  }
+
+  if (changes.full && changes.notes.length === 0 && keepOnEmpty) {
+    return { notes: local, changed: 0 };
+  }
+
+  const result = applyChanges(local, changes, getPending(), getTrashed());
+  saveCursor(changes.cursor);
+  return { notes: result.notes, changed: result.added + result.updated + result.removed };
+}
@@ -0,0 +1,80 @@
+// tabsync.js
+// Live synchronization between open tabs of the app
+// -------------------------------------------------
+// Every tab keeps its own in-memory `notes` array. After a tab persisted a
+// change, it announces the written notes/deleted ids; other tabs merge them in
+// (see app.js) instead of overwriting them with their stale copy later on.
+//
+// Design notes:
+// - Transport: BroadcastChannel where available; otherwise a localStorage key
+//   is written and removed again right away, which fires the `storage` event in
+//   all *other* tabs of the same origin (never in the writing tab itself).
+// - Messages carry the tab id of the sender, so a tab ignores its own echo.
+// - Messages are notifications only; storage (IndexedDB / localStorage) stays
+//   the source of truth.
+
+const CHANNEL_NAME = 'mini-notes';
+/** Fallback transport key (holds a message only for the instant it is sent). */
+const SIGNAL_KEY = 'mini-notes.tab-signal';
+
+/**
+ * @typedef {Object} TabChanges
+ * @property {import('./app.js').Note[]} put     - notes written (created or updated)
+ * @property {string[]}                  delete  - ids of deleted notes
+ */
+
+/** Random id of this tab (only needs to be unique among open tabs). */
+const TAB_ID = Math.random().toString(36).slice(2);
+
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+/**
+ * Tell other tabs which notes this tab just persisted.
+ * @param {TabChanges} changes
+ * @returns {void}
+ */
+export function publishChanges({ put = [], delete: remove = [] }) {
+  if (put.length === 0 && remove.length === 0) return;
+  const message = { from: TAB_ID, put, delete: remove };
+
+  try {
+    if (channel) {
+      channel.postMessage(message);
+    } else {
+      localStorage.setItem(SIGNAL_KEY, JSON.stringify(message));
+      localStorage.removeItem(SIGNAL_KEY);
+    }
+  } catch (err) {
+    // Not fatal: other tabs just keep their copy until the next reload.
+    console.warn('[TabSync] Could not notify other tabs:', err);
+  }
+}
+
+/**
+ * Listen for changes persisted by other tabs.
+ * @param {(changes: TabChanges) => void} handler
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeChanges(handler) {
+  const deliver = (message) => {
+    if (!message || message.from === TAB_ID) return;
+    handler({ put: message.put ?? [], delete: message.delete ?? [] });
+  };
+
+  if (channel) {
+    const onMessage = (e) => deliver(e.data);
+    channel.addEventListener('message', onMessage);
+    return () => channel.removeEventListener('message', onMessage);
+  }
+
+  const onStorage = (e) => {
+    if (e.key !== SIGNAL_KEY || !e.newValue) return; // ignore the removal
+    try {
+      deliver(JSON.parse(e.newValue));
+    } catch {
+      // Malformed message: ignore.
+    }
+  };
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+}
@@ -0,0 +1,78 @@
+// tags.js
+// Tag management: rename, merge and remove #tags across notes
+// -------------------------------------------------
+// Tags only exist as "#tag" text inside notes (utils.extractTags()), so managing
+// them means rewriting that text. The functions here only compute the changes;
+// app.js shows them as a preview and saves the affected notes like regular edits
+// (API or outbox), so every other client sees ordinary note updates.
+//
+// Design notes:
+// - A change to a tag also applies to the tags nested below it, mirroring the
+//   search (#work finds #work/clientA): renaming #work to #job turns
+//   #work/clientA into #job/clientA; removing #work removes #work/clientA too.
+// - Renaming to a tag that already exists is a merge; nothing special is needed.
+// - Removing a tag takes only the whitespace next to it along (utils.replaceTags());
+//   a title that would be left empty keeps the tag instead.
+
+import { extractTags, replaceTags, tagMatches } from './utils.js';
+
+/**
+ * Validate user input for a tag name ("#Büro", "work/clientA").
+ * @param {string} value
+ * @returns {string|null} the normalized tag, or null if it is not a valid tag
+ */
+export function parseTagInput(value) {
+  const raw = String(value ?? '')
+    .trim()
+    .replace(/^#/, '');
+  const [tag] = extractTags(`#${raw}`);
+  // extractTags() also finds a tag at the start of "#a b"; only the whole input counts.
+  return tag !== undefined && tag.length === raw.normalize('NFC').length ? tag : null;
+}
+
+/**
+ * Rename (`to` = tag) or remove (`to` = null) a tag and its nested tags in a text.
+ * @param {string} text
+ * @param {string} from - normalized tag
+ * @param {string|null} to - normalized tag, or null to remove
+ * @returns {string}
+ */
+export function rewriteTag(text, from, to) {
+  const result = replaceTags(text, (tag, raw) => {
+    if (!tagMatches(tag, from)) return undefined;
+    if (to === null) return null;
+    // Keep how nested levels were written ("#work/ClientA" → "#job/ClientA").
+    return to + raw.normalize('NFC').slice(from.length);
+  });
+  return result;
+}
+
+/**
+ * @typedef {Object} TagChange
+ * @property {import('./app.js').Note} note  - the note as it is now
+ * @property {string} title                  - rewritten title
+ * @property {string} content                - rewritten content
+ * @property {boolean} keptTitle             - the title was left as it is: it held
+ *   nothing but the removed tag(s) and would have been empty
+ */
+
+/**
+ * Compute which notes a rename/merge/removal would change, and how.
+ * @param {import('./app.js').Note[]} notes
+ * @param {string} from - tag to change (normalized)
+ * @param {string|null} to - new tag, or null to remove it
+ * @returns {TagChange[]} only notes whose title or content actually changes
+ */
+export function planTagChange(notes, from, to) {
+  const changes = [];
+  for (const note of notes) {
+    let title = rewriteTag(note.title, from, to);
+    const keptTitle = !title.trim() && Boolean(note.title.trim());
+    if (keptTitle) title = note.title;
+    const content = rewriteTag(note.content, from, to);
+    if (title !== note.title || content !== note.content) {
+      changes.push({ note, title, content, keptTitle });
+    }
+  }
+  return changes;
+}
@@ -0,0 +1,148 @@
+// tagsuggest.js
+// #tag autocomplete for text fields (note editors, search box)
+// -------------------------------------------------
+// Typing "#" (or "#mee") in an attached field opens a small list of existing
+// tags below it; ↑/↓ choose, Enter/Tab insert, Escape closes. The goal is that
+// everybody reuses "#meeting" instead of inventing "#meetings" or "#mtg".
+//
+// Ranking (suggestTags()):
+// - usage: how many notes carry the tag (log-scaled, so big tags don't drown the rest)
+// - recency: when a note with the tag was last edited (halves every 14 days)
+// - co-occurrence: tags that often appear together with the tags already in
+//   the field (e.g. #meeting → #protokoll) get a boost; with just "#" typed they
+//   come first
+// Tags already in the field are not suggested again. Matching ignores case and
+// umlauts (foldText()), and also finds nested levels ("#cli" → #work/clienta).
+//
+// Design notes:
+// - Stats are built with extractTags() over all notes when a popup opens and
+//   reused while the user keeps typing the same tag.
+// - The popup itself (keys, ARIA, insertion) is suggest.js.
+
+import { attachSuggestions } from './suggest.js';
+import { extractTags, foldText } from './utils.js';
+
+const MAX_SUGGESTIONS = 8;
+const USAGE_WEIGHT = 1;
+const RECENCY_WEIGHT = 0.5;
+const RECENCY_HALF_LIFE_DAYS = 14;
+const CO_OCCURRENCE_WEIGHT = 2;
+/** Extra score for tags whose full path starts with the typed text (vs. a nested level). */
+const PREFIX_BONUS = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** "#" + partial tag right before the caret (group 2: the partial tag). */
+const TAG_BEFORE_CARET = /(^|[\s.,;:!?([{\-])#([\p{L}\p{N}_/-]*)$/u;
+
+/**
+ * @typedef {Object} TagStats
+ * @property {Map<string, { count: number, lastUsed: number }>} tags
+ * @property {Map<string, Map<string, number>>} pairs - tag → co-occurring tag → notes with both
+ */
+
+/**
+ * Collect usage, recency and co-occurrence of all tags.
+ * @param {import('./app.js').Note[]} notes
+ * @returns {TagStats}
+ */
+export function buildTagStats(notes) {
+  const tags = new Map();
+  const pairs = new Map();
+  for (const note of notes) {
+    const noteTags = extractTags(note.title, note.content);
+    const ts = note.updatedAt ?? note.createdAt ?? 0;
+    for (const tag of noteTags) {
+      const stat = tags.get(tag) ?? { count: 0, lastUsed: 0 };
+      tags.set(tag, { count: stat.count + 1, lastUsed: Math.max(stat.lastUsed, ts) });
+
+      if (!pairs.has(tag)) pairs.set(tag, new Map());
+      const partners = pairs.get(tag);
+      for (const other of noteTags) {
+        if (other !== tag) partners.set(other, (partners.get(other) ?? 0) + 1);
+      }
+    }
+  }
+  return { tags, pairs };
+}
+
+/**
+ * Rank existing tags for a partially typed one.
+ *
+ * @param {TagStats} stats
+ * @param {string} typed - text after "#" ('' = just the "#")
+ * @param {Object} [options]
+ * @param {string[]} [options.context=[]] - tags already in the field (boost partners, not suggested)
+ * @param {number}   [options.now=Date.now()]
+ * @param {number}   [options.limit]
+ * @returns {string[]} best first
+ */
+export function suggestTags(
+  stats,
+  typed,
+  { context = [], now = Date.now(), limit = MAX_SUGGESTIONS } = {}
+) {
+  const needle = foldText(typed);
+  const ranked = [];
+  for (const [tag, { count, lastUsed }] of stats.tags) {
+    if (context.includes(tag)) continue;
+
+    const folded = foldText(tag);
+    const full = folded.startsWith(needle);
+    if (!full && !folded.split('/').some((level) => level.startsWith(needle))) continue;
+
+    const ageDays = Math.max(0, now - lastUsed) / DAY_MS;
+    let together = 0;
+    for (const other of context) {
+      const partners = stats.pairs.get(other);
+      const base = stats.tags.get(other)?.count;
+      if (partners?.has(tag) && base) together += partners.get(tag) / base;
+    }
+    const score =
+      USAGE_WEIGHT * Math.log1p(count) +
+      RECENCY_WEIGHT * 2 ** (-ageDays / RECENCY_HALF_LIFE_DAYS) +
+      CO_OCCURRENCE_WEIGHT * together +
+      (full ? PREFIX_BONUS : 0);
+    ranked.push({ tag, score });
+  }
+  ranked.sort((a, b) => b.score - a.score || a.tag.localeCompare(b.tag));
+  return ranked.slice(0, limit).map((r) => r.tag);
+}
+
+/**
+ * Add tag autocomplete to an <input> or <textarea>.
+ *
+ * @param {HTMLInputElement|HTMLTextAreaElement} field
+ * @param {Object} options
+ * @param {() => import('./app.js').Note[]} options.getNotes - current notes (suggestion source)
+ * @param {() => string} [options.getContext] - more text of the same note (e.g. the title
+ *   while typing in the content) whose tags count as "already in the note"
+ * @returns {{ isOpen: () => boolean }}
+ */
+export function attachTagAutocomplete(field, { getNotes, getContext = () => '' }) {
+  let stats = null; // built when a "#" is typed, dropped when the popup closes
+
+  return attachSuggestions(field, {
+    name: 'tag-suggest',
+    label: 'Tag-Vorschläge',
+    onClose: () => {
+      stats = null;
+    },
+    suggest(value, caret) {
+      const match = value.slice(0, caret).match(TAG_BEFORE_CARET);
+      if (!match) return null;
+
+      const typed = match[2];
+      const start = caret - typed.length - 1; // position of "#"
+      const rest = value.slice(0, start) + value.slice(caret);
+      stats ??= buildTagStats(getNotes());
+      const tags = suggestTags(stats, typed, { context: extractTags(rest, getContext()) });
+      const space = /^\s/.test(value.slice(caret)) ? '' : ' ';
+      return {
+        start,
+        end: caret,
+        items: tags.map((tag) => ({ label: `#${tag}`, insert: `#${tag}${space}` })),
+      };
+    },
+  });
+}
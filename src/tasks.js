@@ -0,0 +1,90 @@
+// tasks.js
+// Checklists in notes: "- [ ] item" lines
+// -------------------------------------------------
+// A task is a Markdown list item whose text starts with a checkbox:
+//   - [ ] buy milk
+//   - [x] call Anna        (x or X = done)
+//   1. [ ] ordered works too, also nested or inside "> " quotes
+// markdown.js renders them as checkboxes; ticking one rewrites that line in the
+// note content (toggleTask()) and app.js saves the note like a normal edit.
+// openTasks() collects the unchecked ones for the "Offene Aufgaben" view.
+//
+// Design notes:
+// - Tasks are addressed by their position in the note (0 = first task), the same
+//   order in which markdown.js numbers its checkboxes: findTasks() takes them
+//   from markdown.js's own block parser (scanTasks()), so code blocks, quotes and
+//   list items are never read differently by the two.
+// - Only the "[ ]"/"[x]" characters change; the rest of the line is kept as typed.
+
+import { scanTasks } from './markdown.js';
+
+/**
+ * A task's line, "- [ ] text" (group 1: everything up to the box, 2: ' '/x/X,
+ * 3: the rest of the line). Quote markers ("> ") and indentation may come first.
+ */
+const TASK_LINE = /^((?: *> ?)* *(?:[-*+]|\d{1,9}[.)])[ \t]+\[)([ xX])(\][ \t]+\S.*)$/;
+
+/** Quick check: content without a checkbox has no tasks (skips the parse). */
+const ANY_BOX = /\[[ xX]\]/;
+
+/**
+ * @typedef {Object} Task
+ * @property {number}  index    - position among the note's tasks (0-based)
+ * @property {number}  line     - line number in the content (0-based)
+ * @property {boolean} checked
+ * @property {string}  text     - task text (Markdown, without the checkbox)
+ */
+
+/**
+ * All tasks of a note's content, in order.
+ * @param {string} content
+ * @returns {Task[]}
+ */
+export function findTasks(content) {
+  if (!ANY_BOX.test(String(content ?? ''))) return [];
+  return scanTasks(content).map((task, index) => ({ index, ...task }));
+}
+
+/**
+ * Check or uncheck one task.
+ * @param {string} content
+ * @param {number} index - Task.index
+ * @param {boolean} checked
+ * @returns {string} the new content (unchanged if there is no such task)
+ */
+export function toggleTask(content, index, checked) {
+  const task = findTasks(content)[index];
+  if (!task) return content;
+  // Split keeping the line breaks, so "\r\n" notes stay "\r\n".
+  const parts = String(content).split(/(\r\n?|\n)/);
+  const i = task.line * 2;
+  parts[i] = parts[i].replace(
+    TASK_LINE,
+    (_, head, _box, tail) => `${head}${checked ? 'x' : ' '}${tail}`
+  );
+  return parts.join('');
+}
+
+/**
+ * @typedef {Object} OpenTask
+ * @property {import('./app.js').Note} note
+ * @property {number} index   - Task.index within the note
+ * @property {string} text
+ */
+
+/**
+ * Unchecked tasks of the given notes, grouped by note (notes without open tasks
+ * are left out; order as passed in).
+ * @param {import('./app.js').Note[]} notes
+ * @returns {{ note: import('./app.js').Note, tasks: OpenTask[] }[]}
+ */
+export function openTasks(notes) {
+  return notes
+    .map((note) => ({
+      note,
+      tasks: findTasks(note.content)
+        .filter((t) => !t.checked)
+        .map((t) => ({ note, index: t.index, text: t.text })),
+    }))
+    .filter((group) => group.tasks.length > 0);
+}
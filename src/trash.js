@@ -0,0 +1,145 @@
+// trash.js
+// Trash for deleted notes (soft delete, automatic purge)
+// -------------------------------------------------
+// "Delete" moves a note out of the list into the trash instead of removing it
+// for good: it can be restored (right away via "Rückgängig", or later from the
+// Papierkorb view, one by one or several at once). Notes are purged — deleted
+// locally and on the backend — when the user empties them from the trash or
+// automatically once they have been in it for the configured number of days.
+//
+// Design notes:
+// - Stored in localStorage ({ note, deletedAt } entries), like the outbox: the
+//   trashed note is the complete record, so a restore needs nothing else.
+// - The backend keeps the note until it is purged (only the purge calls DELETE);
+//   sync.js skips trashed ids so a pull does not bring them back.
+// - The retention (days) is a per-browser setting; app.js runs the purge on start.
+
+/** Storage key for the trashed notes. */
+const TRASH_KEY = 'mini-notes.trash';
+
+/** Storage key for the days a note stays in the trash. */
+const DAYS_KEY = 'mini-notes.trash-days';
+
+/** Retention periods offered in the UI (days). */
+export const TRASH_DAYS = [7, 14, 30, 90];
+
+/** Days a note stays in the trash unless the user chose otherwise. */
+export const DEFAULT_TRASH_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} TrashEntry
+ * @property {import('./app.js').Note} note - the note as it was deleted
+ * @property {number} deletedAt            - Unix ms timestamp
+ */
+
+/**
+ * The trashed notes, most recently deleted first.
+ * @returns {TrashEntry[]}
+ */
+export function loadTrash() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(TRASH_KEY));
+    return Array.isArray(entries)
+      ? entries
+          .filter((e) => e?.note?.id !== undefined && Number.isFinite(e.deletedAt))
+          .sort((a, b) => b.deletedAt - a.deletedAt)
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Persist the trash. */
+function saveTrash(entries) {
+  localStorage.setItem(TRASH_KEY, JSON.stringify(entries));
+}
+
+/**
+ * Ids of all trashed notes.
+ * @returns {Set<string>}
+ */
+export function trashedIds() {
+  return new Set(loadTrash().map((e) => String(e.note.id)));
+}
+
+/**
+ * Move notes into the trash.
+ * @param {import('./app.js').Note[]} notes
+ * @param {number} [deletedAt=Date.now()]
+ * @returns {void}
+ */
+export function moveToTrash(notes, deletedAt = Date.now()) {
+  const ids = new Set(notes.map((n) => String(n.id)));
+  const kept = loadTrash().filter((e) => !ids.has(String(e.note.id)));
+  saveTrash([...notes.map((note) => ({ note, deletedAt })), ...kept]);
+}
+
+/**
+ * Take notes out of the trash (to restore or purge them).
+ * @param {Iterable<string>} ids
+ * @returns {import('./app.js').Note[]} the notes that were in the trash
+ */
+export function takeFromTrash(ids) {
+  const wanted = new Set([...ids].map(String));
+  const entries = loadTrash();
+  const taken = entries.filter((e) => wanted.has(String(e.note.id)));
+  if (taken.length > 0) saveTrash(entries.filter((e) => !wanted.has(String(e.note.id))));
+  return taken.map((e) => e.note);
+}
+
+/**
+ * A trashed note got a new id (created offline, then synced).
+ * @param {string} fromId
+ * @param {string} toId
+ * @returns {boolean} true if the note was in the trash
+ */
+export function renameTrashed(fromId, toId) {
+  const entries = loadTrash();
+  const entry = entries.find((e) => String(e.note.id) === fromId);
+  if (!entry) return false;
+  entry.note = { ...entry.note, id: toId };
+  saveTrash(entries);
+  return true;
+}
+
+/**
+ * Days a note stays in the trash.
+ * @returns {number}
+ */
+export function loadTrashDays() {
+  const days = Number(localStorage.getItem(DAYS_KEY));
+  return TRASH_DAYS.includes(days) ? days : DEFAULT_TRASH_DAYS;
+}
+
+/**
+ * Persist the retention period.
+ * @param {number} days - one of TRASH_DAYS
+ * @returns {void}
+ */
+export function saveTrashDays(days) {
+  if (!TRASH_DAYS.includes(days)) throw new Error(`Unknown trash retention: ${days}`);
+  localStorage.setItem(DAYS_KEY, String(days));
+}
+
+/**
+ * When a trashed note will be purged automatically.
+ * @param {TrashEntry} entry
+ * @param {number} days
+ * @returns {number} Unix ms timestamp
+ */
+export function purgeDate(entry, days) {
+  return entry.deletedAt + days * DAY_MS;
+}
+
+/**
+ * Entries whose time in the trash is up.
+ * @param {TrashEntry[]} entries
+ * @param {number} days
+ * @param {number} [now=Date.now()]
+ * @returns {TrashEntry[]}
+ */
+export function expiredEntries(entries, days, now = Date.now()) {
+  return entries.filter((e) => purgeDate(e, days) <= now);
+}
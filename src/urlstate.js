@@ -0,0 +1,66 @@
+// urlstate.js
+// View state (search query, sort/grouping, tasks/trash view) in the URL fragment
+// -------------------------------------------------
+// The current view is mirrored into the address bar, e.g.
+//   index.html#q=%23work+-%23done&sort=title&group=tag
+// so it survives a reload and can be bookmarked or shared, and browser
+// back/forward can step through earlier searches (see app.js).
+//
+// Design notes:
+// - The fragment instead of a query string: works on any static host and with
+//   the service worker's shell cache, and never reaches the server.
+// - Empty values are left out, so the plain list has a clean URL. For sort and
+//   group, '' means "the user's stored choice" (listview.js).
+// - Only writes through the History API (pushState/replaceState); those don't
+//   fire hashchange, so the app's own updates never loop back into it.
+
+/**
+ * @typedef {Object} ViewState
+ * @property {string} q      - search box input ('' = no search)
+ * @property {string} sort   - listview.js SortMode ('' = stored choice)
+ * @property {string} group  - listview.js GroupMode ('' = stored choice)
+ * @property {string} view   - 'tasks' = open tasks, 'trash' = Papierkorb ('' = notes)
+ */
+
+/** @type {ViewState} */
+const DEFAULTS = { q: '', sort: '', group: '', view: '' };
+
+/**
+ * Read the view state from the current URL (missing keys get their defaults).
+ * @returns {ViewState}
+ */
+export function readViewState() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const state = { ...DEFAULTS };
+  for (const key of Object.keys(DEFAULTS)) {
+    const value = params.get(key);
+    if (value !== null) state[key] = value;
+  }
+  return state;
+}
+
+/**
+ * Put the view state into the URL.
+ *
+ * @param {ViewState} state
+ * @param {{ push?: boolean }} [options]
+ *   push: true → new history entry (Back returns to the previous state);
+ *   otherwise the current entry is updated in place.
+ * @returns {boolean} false if the URL already showed this state
+ */
+export function writeViewState(state, { push = false } = {}) {
+  const params = new URLSearchParams();
+  for (const key of Object.keys(DEFAULTS)) {
+    const value = state[key] ?? DEFAULTS[key];
+    if (value !== DEFAULTS[key]) params.set(key, value);
+  }
+  const query = params.toString();
+  const hash = query ? `#${query}` : '';
+  if (hash === window.location.hash) return false;
+
+  const { pathname, search } = window.location;
+  const url = `${pathname}${search}${hash}`;
+  if (push) window.history.pushState(null, '', url);
+  else window.history.replaceState(null, '', url);
+  return true;
+}
@@ -4,7 +4,13 @@
 // New in this version:
 // - extractTags(...parts): find unique #tags in given strings
 // - parseQuery(q): split a search query into { text, tags[] }
-// - matchesQuery(note, q): supports tag filters (#foo) + plain text
+// - tagAncestors()/tagMatches(): nested tags (#work/clientA; #work matches both)
+// - replaceTags(): rewrite #tags in a text (tag rename/merge/remove, see tags.js)
+// - foldText()/foldWithMap(): diacritic- and case-insensitive comparison form
+//   ("Überweisung" → "uberweisung", "Straße" → "strasse")
+// - termVariants()/foldForms(): also the umlauts spelled out ("ueberweisung")
+// - fuzzyMatch()/editDistance(): typo tolerance for search terms
+// - findMatches()/markRanges(): match positions for highlighting and snippets
 
 /**
  * Generate a reasonably unique ID string.
@@ -44,29 +50,116 @@ export function byPinnedThenUpdated(a, b) {
   return (b.updatedAt ?? 0) - (a.updatedAt ?? 0);
 }
 
+/**
+ * Tag body (without '#'): letters of any script, digits, '_' or '-'; nested tags
+ * separate levels with '/' (up to 5 levels). The first level needs 2+ characters.
+ * The lookahead rejects over-long words instead of cutting them off.
+ */
+const TAG_BODY = '[\\p{L}\\p{N}_-]{2,24}(?:/[\\p{L}\\p{N}_-]{1,24}){0,4}(?![\\p{L}\\p{N}_-])';
+
+/**
+ * A fresh global RegExp for #tags in running text (group 1: the character
+ * before '#', group 2: the tag). A tag must start the text or follow whitespace
+ * or punctuation, so "text#notatag" and URLs with fragments are ignored.
+ */
+const tagsInText = () => new RegExp(`(^|[\\s.,;:!?([{\\-])#(${TAG_BODY})`, 'gu');
+
+/** Canonical form of a tag: NFC, lower case ("#Büro" and "#bu\u0308ro" are one tag). */
+const normalizeTag = (tag) => tag.normalize('NFC').toLowerCase();
+
 /**
  * Extract unique #tags from one or more text parts.
  *
  * Rules:
- * - Tags start with '#' and contain letters, digits, '_' or '-'
+ * - Tags start with '#' and contain letters (any script), digits, '_' or '-'
  * - Minimum length 2 (e.g., #go is ok; #a is ignored)
- * - Matching is ASCII-only here for simplicity; extend the regex for Unicode if needed.
+ * - Nested tags use '/': "#work/clientA/billing" (a trailing '/' is ignored)
  *
  * Examples:
  *   "Hello #work #Work" → ["work"]
  *   "Mix: (#dev), text#notatag" → ["dev"]
+ *   "#Büro #work/clientA" → ["büro", "work/clienta"]
  */
 export function extractTags(...parts) {
   const text = parts.filter(Boolean).join(' ');
   const set = new Set();
-  const re = /(^|[\s.,;:!?([{\-])#([a-z0-9_-]{2,24})\b/gi;
+  const re = tagsInText();
   let m;
   while ((m = re.exec(text))) {
-    set.add(m[2].toLowerCase());
+    set.add(normalizeTag(m[2]));
   }
   return [...set];
 }
 
+/**
+ * A tag and its parent tags, outermost first.
+ *   "work/clienta/billing" → ["work", "work/clienta", "work/clienta/billing"]
+ * @param {string} tag
+ * @returns {string[]}
+ */
+export function tagAncestors(tag) {
+  const levels = tag.split('/');
+  return levels.map((_, i) => levels.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Does a note tag satisfy a tag filter? A filter matches the tag itself and
+ * everything nested below it ("work" matches "work/clienta", not "workshop").
+ * @param {string} tag     - tag of a note (extractTags())
+ * @param {string} filter  - tag from the query
+ * @returns {boolean}
+ */
+export function tagMatches(tag, filter) {
+  return tag === filter || tag.startsWith(filter + '/');
+}
+
+/**
+ * Rewrite the #tags in a text (same tag rules as extractTags()).
+ * `replacer` gets each tag normalized and as written (both without '#') and returns
+ * - a new tag (written as "#" + it),
+ * - null to remove the tag, together with the space before it or, at the start
+ *   of a line, the spaces after it (a line left empty goes with its line break);
+ *   the rest of the text keeps its whitespace, or
+ * - undefined to keep it unchanged.
+ *
+ * @param {string} text
+ * @param {(tag: string, raw: string) => string|null|undefined} replacer
+ * @returns {string}
+ */
+export function replaceTags(text, replacer) {
+  const source = String(text ?? '');
+  const re = tagsInText();
+  let out = '';
+  let pos = 0; // source[pos..] is not copied to `out` yet
+  let m;
+  while ((m = re.exec(source))) {
+    const [match, prefix, raw] = m;
+    const next = replacer(normalizeTag(raw), raw);
+    if (next === undefined) continue;
+
+    // The prefix was already dropped if a removed tag right before took it along.
+    const lead = m.index < pos ? '' : prefix;
+    out += source.slice(pos, m.index);
+    pos = m.index + match.length;
+    if (next !== null) {
+      out += `${lead}#${next}`;
+      continue;
+    }
+    const lineStart = lead === '' || /[\r\n]/.test(lead);
+    if (!lineStart) {
+      if (!/\s/.test(lead)) out += lead; // "a #tag b" → "a b", "(#tag)" → "()"
+      continue;
+    }
+    // At the start of a line: take the spaces after it, or the emptied line.
+    pos += source.slice(pos).match(/^[ \t]*/)[0].length;
+    const lineBreak = source.slice(pos).match(/^(?:\r\n?|\n)/);
+    if (lineBreak) pos += lineBreak[0].length;
+    if (lineBreak || pos < source.length) out += lead;
+    else out = out.replace(/\r$/, ''); // the tag ended the text: drop the line break before it
+  }
+  return out + source.slice(pos);
+}
+
 /**
  * Parse a user query into plain text and tag filters.
  * Input: "urgent #work #inbox"
@@ -79,8 +172,8 @@ export function parseQuery(q) {
   const tags = [];
   // Collect tags and strip them from the free-text part
   const text = q
-    .replace(/(^|[\s])#([a-z0-9_-]{2,24})\b/gi, (_, s, tag) => {
-      tags.push(tag.toLowerCase());
+    .replace(new RegExp(`(^|\\s)#(${TAG_BODY})`, 'gu'), (_, s, tag) => {
+      tags.push(normalizeTag(tag));
       return s; // keep spacing
     })
     .trim();
@@ -88,63 +181,232 @@ export function parseQuery(q) {
   return { text, tags };
 }
 
+// ===== Search normalization =====
+
+/** Letters that do not decompose into base letter + mark (after lower-casing). */
+const FOLD_SPECIAL = {
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'o',
+  đ: 'd',
+  ł: 'l',
+  ı: 'i',
+  ς: 'σ', // final sigma
+};
+
+/** German umlauts spelled out, as in "Ueberweisung" (see termVariants()). */
+const UMLAUT_SPELLING = { ä: 'ae', ö: 'oe', ü: 'ue' };
+
+/**
+ * Fold text for comparisons and keep track of where each folded character came from.
+ * - Unicode case folding (lower case, final sigma, ligatures/width via NFKD).
+ * - Diacritics removed: ä → a, é → e; ß → ss (see FOLD_SPECIAL).
+ * - With `umlauts`, ä/ö/ü are spelled out instead: "Über" → "ueber".
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.umlauts=false] - spell out ä/ö/ü (ae/oe/ue)
+ * @returns {{ folded: string, map: number[] }}
+ *   `map[i]` = index in `text` of the character that produced `folded[i]`
+ */
+export function foldWithMap(text, { umlauts = false } = {}) {
+  const source = String(text ?? '');
+  let folded = '';
+  const map = [];
+  let i = 0;
+  for (const ch of source) {
+    const lower = ch.toLowerCase();
+    let base = (FOLD_SPECIAL[lower] ?? lower).normalize('NFKD').replace(/\p{M}/gu, '');
+    if (umlauts) {
+      // Precomposed "ü", or "u" + combining diaeresis (decomposed text).
+      if (UMLAUT_SPELLING[lower]) base = UMLAUT_SPELLING[lower];
+      else if (ch === '\u0308' && /[aou]$/.test(folded)) base = 'e';
+    }
+    for (let k = 0; k < base.length; k++) map.push(i);
+    folded += base;
+    i += ch.length;
+  }
+  return { folded, map };
+}
+
+/**
+ * Comparison form of a string (see foldWithMap()).
+ * @param {string} text
+ * @param {Object} [options] - see foldWithMap()
+ * @returns {string}
+ */
+export function foldText(text, options) {
+  return foldWithMap(text, options).folded;
+}
+
+/**
+ * Comparison forms of a search term: folded ("Über" → "uber"), and for a term
+ * with ä/ö/ü also spelled out ("ueber"). Texts are searched in both forms too,
+ * so "Über" finds "Ueber" and the other way round, while plain words with ae/oe/ue
+ * ("blue") are left as they are.
+ *
+ * @param {string} term - raw term
+ * @returns {string[]} one or two forms (empty strings if nothing is left)
+ */
+export function termVariants(term) {
+  const folded = foldText(term);
+  const spelled = foldText(term, { umlauts: true });
+  return spelled !== folded ? [folded, spelled] : [folded];
+}
+
+/**
+ * The comparison forms of a text (see foldWithMap()): folded, and spelled out if
+ * it contains ä/ö/ü.
+ * @param {string} text
+ * @returns {Array<{ folded: string, map: number[] }>}
+ */
+export function foldForms(text) {
+  const plain = foldWithMap(text);
+  const spelled = foldWithMap(text, { umlauts: true });
+  return spelled.folded !== plain.folded ? [plain, spelled] : [plain];
+}
+
+/**
+ * Edit distance (insert/delete/substitute/swap neighbours) between two strings.
+ * Stops early once the distance exceeds `max`.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max=Infinity]
+ * @returns {number} the distance, or max + 1 if it is larger than `max`
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev2 = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1); // transposition ("teh" → "the")
+      }
+      cur.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * How many typos a search term may contain: none for short terms (too many false
+ * hits), one from 4 characters, two from 8.
+ * @param {string} term
+ * @returns {number}
+ */
+export function maxTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Does a folded term match a folded word despite typos? The word may also just
+ * start with the (mistyped) term, for search-as-you-type.
+ *
+ * @param {string} term
+ * @param {string} word
+ * @returns {boolean}
+ */
+export function fuzzyMatch(term, word) {
+  const max = maxTypos(term);
+  if (max === 0) return false;
+  if (editDistance(term, word, max) <= max) return true;
+  return word.length > term.length && editDistance(term, word.slice(0, term.length), max) <= max;
+}
+
 // Escape a string so it can be safely used inside a RegExp.
 export function escapeRegExp(s) {
   return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 /**
- * Highlight free-text matches in a string using <mark>.
- * - Uses parseQuery() to extract the text part (ignores #tags).
- * - Case-insensitive; highlights ANY of the tokens (OR).
- * - Always returns HTML-safe output (escapes before wrapping).
+ * Find free-text matches in a string.
+ * - `terms`: the words/phrases to find (e.g. positiveTerms() from query.js), or a
+ *   raw query string, whose free-text part (parseQuery(), without #tags) is split on spaces.
+ * - Matching is case/diacritic-insensitive (foldWithMap(), umlauts also spelled
+ *   out, see termVariants()) and typo-tolerant per word (fuzzyMatch()), like the
+ *   search itself; ranges cover the ORIGINAL characters ("uberweisung" → all of
+ *   "Überweisung").
  *
- * @param {string} text - raw user text (title or content)
- * @param {string} q    - raw query string
- * @returns {string}    - HTML string with <mark> around matches
+ * @param {string} text             - raw user text (title or content)
+ * @param {string|string[]} terms   - terms to find, or a raw query string
+ * @returns {Array<[number, number]>} sorted, non-overlapping [start, end) ranges in `text`
  */
-export function highlightText(text, q) {
-  const { text: free } = parseQuery(q);
+export function findMatches(text, terms) {
   const source = String(text ?? '');
-  if (!free) return escapeHtml(source);
+  const list = (Array.isArray(terms) ? terms : parseQuery(terms).text.split(/\s+/))
+    .flatMap(termVariants)
+    .filter(Boolean);
+  if (list.length === 0) return [];
 
-  // Split into tokens; build a single regex (token1|token2|…)
-  const tokens = free.split(/\s+/).filter(Boolean).map(escapeRegExp);
-  if (tokens.length === 0) return escapeHtml(source);
+  const ranges = [];
+  for (const { folded, map } of foldForms(source)) {
+    // Folded [start, end) → original [start, end); the end includes dropped marks.
+    const toSource = (start, end) => [map[start], end < map.length ? map[end] : source.length];
 
-  const re = new RegExp(`(${tokens.join('|')})`, 'gi');
+    // 1) Literal hits (words, parts of words, phrases).
+    for (const term of list) {
+      for (let i = folded.indexOf(term); i >= 0; i = folded.indexOf(term, i + term.length)) {
+        ranges.push(toSource(i, i + term.length));
+      }
+    }
+    // 2) Whole words that only match with typos.
+    for (const word of folded.matchAll(/[\p{L}\p{N}_]+/gu)) {
+      if (list.some((term) => !word[0].includes(term) && fuzzyMatch(term, word[0]))) {
+        ranges.push(toSource(word.index, word.index + word[0].length));
+      }
+    }
+  }
 
-  // Escape first, then wrap matches. $1 still matches after escaping.
-  return escapeHtml(source).replace(re, '<mark>$1</mark>');
+  // Merge overlapping/adjacent hits.
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
 }
 
 /**
- * Case-insensitive match for notes with support for #tags.
- *
- * Rules:
- * - If query contains #tags, the note must contain **all** those tags
- *   (tags are extracted from note title + content).
- * - If query also has free text, we do a simple OR-substring match across
- *   title or content (case-insensitive).
- * - If query is empty, everything matches.
- */
-export function matchesQuery(n, q) {
-  const { text, tags } = parseQuery(q);
-
-  // Tag filter: require ALL tags to be present in the note
-  if (tags.length) {
-    const noteTags = extractTags(n.title, n.content);
-    for (const t of tags) if (!noteTags.includes(t)) return false;
-  }
-
-  // Free-text part: simple case-insensitive substring (title OR content)
-  if (text) {
-    const needle = text.toLowerCase();
-    return (
-      (n.title || '').toLowerCase().includes(needle) ||
-      (n.content || '').toLowerCase().includes(needle)
-    );
+ * Escape a string and wrap the given ranges in <mark>.
+ * @param {string} text
+ * @param {Array<[number, number]>} ranges - sorted, non-overlapping (see findMatches())
+ * @returns {string} HTML
+ */
+export function markRanges(text, ranges) {
+  const source = String(text ?? '');
+  let html = '';
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    html +=
+      escapeHtml(source.slice(pos, start)) + `<mark>${escapeHtml(source.slice(start, end))}</mark>`;
+    pos = end;
   }
+  return html + escapeHtml(source.slice(pos));
+}
 
-  return true;
+/**
+ * Highlight free-text matches in a string using <mark> (see findMatches()).
+ * Always returns HTML-safe output (escapes each segment).
+ *
+ * @param {string} text             - raw user text (title or content)
+ * @param {string|string[]} terms   - terms to highlight, or a raw query string
+ * @returns {string}                - HTML string with <mark> around matches
+ */
+export function highlightText(text, terms) {
+  return markRanges(text, findMatches(text, terms));
 }
@@ -0,0 +1,188 @@
+// wikilinks.js
+// [[Note title]] links between notes: resolve, backlinks, rename, autocomplete
+// -------------------------------------------------
+// Writing [[Einkaufsliste]] in a note's content links to the note with that
+// title; [[Einkaufsliste|die Liste]] shows "die Liste" instead. markdown.js
+// renders the links (resolved via a LinkIndex), app.js opens the target on
+// click, lists "Verlinkt von" (backlinks) under every note, and offers to
+// rewrite incoming links when a note's title changes.
+//
+// Design notes:
+// - Titles match case-insensitively and ignore extra spaces (normalizeTitle());
+//   if several notes share a title, the most recently changed one wins.
+// - Links live only in the text, like #tags: renaming rewrites the [[…]] text of
+//   the linking notes (planLinkRename()), which are saved like regular edits.
+// - Titles containing "[", "]", "|" or a line break can't be linked (the syntax
+//   would break); they are not offered in the autocomplete.
+
+import { attachSuggestions } from './suggest.js';
+import { foldText } from './utils.js';
+
+/** [[target]] or [[target|label]] (group 1: target, 2: label). */
+const LINK_BODY = '\\[\\[([^[\\]|\\n]+)(?:\\|([^[\\]\\n]+))?\\]\\]';
+const WIKI_LINK = new RegExp(LINK_BODY, 'g');
+/** A [[link]] at the start of a string (markdown.js). */
+export const WIKI_LINK_AT = new RegExp(`^${LINK_BODY}`);
+/** Unfinished "[[partial" right before the caret (group 1: the partial title). */
+const LINK_BEFORE_CARET = /\[\[([^[\]|\n]*)$/;
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Key under which a title is looked up ("  Mein  Projekt " → "mein projekt").
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+  return String(title ?? '')
+    .normalize('NFC')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * @param {string} title
+ * @returns {boolean} true if [[title]] can refer to it
+ */
+export function isLinkableTitle(title) {
+  return normalizeTitle(title) !== '' && !/[[\]|\n]/.test(title);
+}
+
+/**
+ * @typedef {Object} WikiLink
+ * @property {string} target  - title as written
+ * @property {string} label   - text to show (the target without an explicit label)
+ * @property {number} start   - index of "[[" in the text
+ * @property {number} end     - index after "]]"
+ */
+
+/**
+ * All [[links]] in a text, in order.
+ * @param {string} text
+ * @returns {WikiLink[]}
+ */
+export function findWikiLinks(text) {
+  return [...String(text ?? '').matchAll(WIKI_LINK)].map((m) => ({
+    target: m[1].trim(),
+    label: (m[2] ?? m[1]).trim(),
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+}
+
+/**
+ * @typedef {Object} LinkIndex
+ * @property {(title: string) => import('./app.js').Note|undefined} resolve - note for a link target
+ * @property {(id: string) => import('./app.js').Note[]} backlinksOf - notes linking to a note
+ */
+
+/**
+ * Index the links between all notes (built once per render).
+ * @param {import('./app.js').Note[]} notes
+ * @returns {LinkIndex}
+ */
+export function buildLinkIndex(notes) {
+  const byTitle = new Map();
+  for (const note of notes) {
+    const key = normalizeTitle(note.title);
+    const other = byTitle.get(key);
+    if (!other || (note.updatedAt ?? 0) > (other.updatedAt ?? 0)) byTitle.set(key, note);
+  }
+  const resolve = (title) => byTitle.get(normalizeTitle(title));
+
+  const backlinks = new Map(); // target id → linking notes
+  for (const note of notes) {
+    const targets = new Set(findWikiLinks(note.content).map((l) => resolve(l.target)));
+    for (const target of targets) {
+      if (!target || target === note) continue;
+      const id = String(target.id);
+      if (!backlinks.has(id)) backlinks.set(id, []);
+      backlinks.get(id).push(note);
+    }
+  }
+
+  return { resolve, backlinksOf: (id) => backlinks.get(String(id)) ?? [] };
+}
+
+/**
+ * Point [[oldTitle]] links in a text to a new title (labels are kept).
+ * @param {string} text
+ * @param {string} oldTitle
+ * @param {string} newTitle
+ * @returns {string}
+ */
+export function renameLinks(text, oldTitle, newTitle) {
+  const key = normalizeTitle(oldTitle);
+  return String(text).replace(WIKI_LINK, (whole, target, label) => {
+    if (normalizeTitle(target) !== key) return whole;
+    return label === undefined ? `[[${newTitle}]]` : `[[${newTitle}|${label}]]`;
+  });
+}
+
+/**
+ * After a note got a new title: which notes link to its old title, and their
+ * content with the links pointing to the new one.
+ * @param {import('./app.js').Note[]} notes
+ * @param {string} oldTitle
+ * @param {import('./app.js').Note} renamed - the note with its new title
+ * @returns {import('./tags.js').TagChange[]} only notes whose content changes
+ */
+export function planLinkRename(notes, oldTitle, renamed) {
+  const key = normalizeTitle(oldTitle);
+  const id = String(renamed.id);
+  // Another note still has the old title: the links now lead there, leave them.
+  if (notes.some((n) => String(n.id) !== id && normalizeTitle(n.title) === key)) return [];
+
+  const changes = [];
+  for (const note of notes) {
+    if (String(note.id) === id) continue;
+    const content = renameLinks(note.content, oldTitle, renamed.title);
+    if (content !== note.content) changes.push({ note, title: note.title, content });
+  }
+  return changes;
+}
+
+/**
+ * Complete note titles after "[[" in a text field.
+ *
+ * @param {HTMLInputElement|HTMLTextAreaElement} field
+ * @param {Object} options
+ * @param {() => import('./app.js').Note[]} options.getNotes - current notes
+ * @param {() => string} [options.getTitle] - title of the note being edited (not offered)
+ * @returns {{ isOpen: () => boolean }}
+ */
+export function attachLinkAutocomplete(field, { getNotes, getTitle = () => '' }) {
+  return attachSuggestions(field, {
+    name: 'link-suggest',
+    label: 'Notiz-Vorschläge',
+    suggest(value, caret) {
+      const match = value.slice(0, caret).match(LINK_BEFORE_CARET);
+      if (!match) return null;
+
+      const typed = foldText(match[1].trim());
+      const own = normalizeTitle(getTitle());
+      const seen = new Set();
+      const ranked = [];
+      for (const note of getNotes()) {
+        const key = normalizeTitle(note.title);
+        if (!isLinkableTitle(note.title) || key === own || seen.has(key)) continue;
+        seen.add(key);
+        const folded = foldText(note.title);
+        const at = folded.indexOf(typed);
+        if (at < 0) continue;
+        ranked.push({ title: note.title.trim(), prefix: at === 0, ts: note.updatedAt ?? 0 });
+      }
+      ranked.sort((a, b) => Number(b.prefix) - Number(a.prefix) || b.ts - a.ts);
+
+      // Swallow a "]]" the user (or the browser) already typed after the caret.
+      const end = value.startsWith(']]', caret) ? caret + 2 : caret;
+      return {
+        start: caret - match[0].length,
+        end,
+        items: ranked
+          .slice(0, MAX_SUGGESTIONS)
+          .map((r) => ({ label: r.title, insert: `[[${r.title}]]` })),
+      };
+    },
+  });
+}
@@ -0,0 +1,152 @@
+// sw.js
+// Service worker: offline app shell + cached fallback for /api/notes
+// -------------------------------------------------
+// Strategies:
+// - App shell (HTML, CSS, ES modules, manifest, icon): precached on install,
+//   served cache-first, so the app starts without a network connection.
+// - GET /api/notes: network-first; successful responses are cached and served
+//   when the network fails, marked with an `X-SW-Cache: 1` header so the app
+//   can tell cached data from a live answer (see api.js / sync.js).
+// - Everything else (writes, other origins' assets): straight to the network.
+//
+// Releasing a new version:
+// - VERSION is a hash of the SHELL files: run `npm run sw-version` after changing
+//   any of them (`npm run lint` fails while it is stale). The browser installs
+//   the changed worker next to the old one, into a cache of its own; the page
+//   then shows the "update available" prompt (see src/pwa.js) and activates it
+//   via a SKIP_WAITING message.
+// - Keep SHELL in sync with the files the app loads (new modules in src/!).
+
+const VERSION = 'a41c229ce429';
+const SHELL_CACHE = `mini-notes-shell-${VERSION}`;
+const API_CACHE = 'mini-notes-api';
+
+const SHELL = [
+  './',
+  'index.html',
+  'styles.css',
+  'manifest.webmanifest',
+  'assets/icon.svg',
+  'src/app.js',
+  'src/api.js',
+  'src/backup.js',
+  'src/dialogs.js',
+  'src/diff.js',
+  'src/history.js',
+  'src/idb.js',
+  'src/listview.js',
+  'src/markdown.js',
+  'src/migrations.js',
+  'src/mode.js',
+  'src/outbox.js',
+  'src/pwa.js',
+  'src/query.js',
+  'src/recentsearches.js',
+  'src/savedsearches.js',
+  'src/search.js',
+  'src/snippets.js',
+  'src/storage.js',
+  'src/suggest.js',
+  'src/sync.js',
+  'src/tags.js',
+  'src/tagsuggest.js',
+  'src/tabsync.js',
+  'src/tasks.js',
+  'src/theme.js',
+  'src/time.js',
+  'src/trash.js',
+  'src/urlstate.js',
+  'src/utils.js',
+  'src/wikilinks.js',
+];
+
+self.addEventListener('install', (event) => {
+  // Not calling skipWaiting() here: the new shell must not replace the old one
+  // under an open page. The page asks for it once the user agreed to reload.
+  // `reload` bypasses the HTTP cache, so the new shell never picks up old files.
+  const requests = SHELL.map((url) => new Request(url, { cache: 'reload' }));
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(requests)));
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop shells of previous versions (the API cache is version independent).
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('mini-notes-shell-') && key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (/\/api\/notes(\/|$)/.test(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/**
+ * App shell: cached copy first; page navigations fall back to index.html.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (err) {
+    if (request.mode === 'navigate') {
+      const shell = await cache.match('index.html');
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
+
+/**
+ * API reads: ask the network, remember the answer, fall back to it when offline.
+ * Only plain collection/item URLs are stored: delta requests (`?since=`) would
+ * add one entry per cursor; offline they get the last full list instead.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(API_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok && !new URL(request.url).search) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (!cached) throw err;
+
+    const headers = new Headers(cached.headers);
+    headers.set('X-SW-Cache', '1');
+    return new Response(cached.body, {
+      status: cached.status,
+      statusText: cached.statusText,
+      headers,
+    });
+  }
+}